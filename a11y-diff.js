@@ -0,0 +1,114 @@
+/**
+ * Accessibility-tree comparison of the original page and the export.
+ *
+ * Rewriting, bundling and pruning can drop aria-* attributes, labels or alt
+ * text without changing a single pixel. summarizeAccessibility() reduces a
+ * Playwright accessibility snapshot to what matters for that: landmarks,
+ * the heading outline and the role/name pairs of controls and images;
+ * diffAccessibility() lists what the export lost.
+ */
+
+export const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'search', 'form', 'region'];
+
+// Roles whose accessible name carries meaning (text nodes and generic
+// containers are left out: their content may legitimately differ)
+const NAMED_ROLES = new Set([
+  'link', 'button', 'img', 'image', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox',
+  'menuitem', 'menu', 'menubar', 'tab', 'tablist', 'tabpanel', 'switch', 'slider', 'spinbutton', 'dialog',
+  'figure', 'table', 'list', 'progressbar', 'option', 'treeitem'
+]);
+
+/**
+ * { landmarks: [{ role, name }], headings: [{ level, name }], roles:
+ * { role: count }, named: { "role|name": count } } of a snapshot (all empty
+ * when the page exposed no tree).
+ */
+export function summarizeAccessibility(snapshot) {
+  const summary = { landmarks: [], headings: [], roles: {}, named: {} };
+  const visit = node => {
+    const name = (node.name || '').replace(/\s+/g, ' ').trim();
+    if (LANDMARK_ROLES.includes(node.role)) summary.landmarks.push({ role: node.role, name });
+    if (node.role === 'heading') summary.headings.push({ level: node.level ?? null, name });
+    if (NAMED_ROLES.has(node.role) || node.role === 'heading' || LANDMARK_ROLES.includes(node.role)) {
+      summary.roles[node.role] = (summary.roles[node.role] || 0) + 1;
+      if (name) {
+        const key = `${node.role}|${name}`;
+        summary.named[key] = (summary.named[key] || 0) + 1;
+      }
+    }
+    (node.children || []).forEach(visit);
+  };
+  if (snapshot) visit(snapshot);
+  return summary;
+}
+
+/**
+ * What the export lost compared with the original (both summaries):
+ * { passed, missing_landmarks, lost_roles, lost_names, heading_changes }.
+ * Additions in the export are not failures.
+ */
+export function diffAccessibility(original, exported) {
+  const landmarkKey = l => `${l.role}|${l.name}`;
+  const missingLandmarks = subtractCounts(countBy(original.landmarks, landmarkKey), countBy(exported.landmarks, landmarkKey))
+    .map(([key, missing]) => ({ ...splitKey(key, 'role', 'name'), missing }));
+
+  const lostRoles = Object.entries(original.roles)
+    .filter(([role, count]) => (exported.roles[role] || 0) < count)
+    .map(([role, count]) => ({ role, original: count, export: exported.roles[role] || 0 }));
+
+  // A role/name pair the export no longer has: the element is gone, or it is
+  // still there without its name (the role count tells which)
+  const lostNames = subtractCounts(original.named, exported.named).map(([key, missing]) => {
+    const { role, name } = splitKey(key, 'role', 'name');
+    const roleKept = (exported.roles[role] || 0) >= (original.roles[role] || 0);
+    return { role, name, missing, element: roleKept ? 'name dropped' : 'element missing' };
+  });
+
+  const headings = headingChanges(original.headings, exported.headings);
+  return {
+    passed: missingLandmarks.length === 0 && lostRoles.length === 0 && lostNames.length === 0 &&
+      headings.every(h => h.change === 'added'),
+    missing_landmarks: missingLandmarks,
+    lost_roles: lostRoles,
+    lost_names: lostNames,
+    heading_changes: headings
+  };
+}
+
+// Heading outline differences, in the original's order: headings missing from
+// the export, present at another level, and headings only the export has
+function headingChanges(original, exported) {
+  const remaining = exported.map(h => ({ ...h, matched: false }));
+  const changes = [];
+  for (const heading of original) {
+    const same = remaining.find(h => !h.matched && h.name === heading.name && h.level === heading.level);
+    const moved = same ? null : remaining.find(h => !h.matched && h.name === heading.name);
+    if (same) same.matched = true;
+    else if (moved) {
+      moved.matched = true;
+      changes.push({ change: 'level', name: heading.name, original_level: heading.level, export_level: moved.level });
+    } else {
+      changes.push({ change: 'missing', name: heading.name, original_level: heading.level });
+    }
+  }
+  remaining.filter(h => !h.matched).forEach(h => changes.push({ change: 'added', name: h.name, export_level: h.level }));
+  return changes;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) counts[key(item)] = (counts[key(item)] || 0) + 1;
+  return counts;
+}
+
+// [key, how many fewer] for every key the second count has less of
+function subtractCounts(before, after) {
+  return Object.entries(before)
+    .filter(([key, count]) => (after[key] || 0) < count)
+    .map(([key, count]) => [key, count - (after[key] || 0)]);
+}
+
+function splitKey(key, first, second) {
+  const i = key.indexOf('|');
+  return { [first]: key.slice(0, i), [second]: key.slice(i + 1) };
+}
@@ -0,0 +1,123 @@
+/**
+ * Persistent HTTP cache for exported assets.
+ *
+ * Bodies are stored once per content hash under <dir>/objects/, and
+ * <dir>/index.json maps each asset URL to its hash and validators (ETag,
+ * Last-Modified). On the next export the exporter sends conditional requests;
+ * a 304 reuses the stored body instead of downloading it again.
+ *
+ * Only responses that carry a validator and allow storing are cached.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const INDEX_VERSION = 1;
+const MAX_UNUSED_DAYS = 30; // entries not used for this long are dropped on save
+
+export function openAssetCache(dir) {
+  const indexFile = path.join(dir, 'index.json');
+  let entries = {};
+  try {
+    const index = fs.readJsonSync(indexFile);
+    if (index.version === INDEX_VERSION && index.entries) entries = index.entries;
+  } catch {
+    // missing or unreadable index: start empty
+  }
+
+  return {
+    dir,
+    indexFile,
+    objectsDir: path.join(dir, 'objects'),
+    entries,            // asset URL -> { hash, etag, lastModified, contentType, size, storedAt, lastUsed }
+    served: new Set(),  // URLs the browser received from the cache (304)
+    stats: { hits: 0, misses: 0, stored: 0, bytesReused: 0, uncacheable: 0 }
+  };
+}
+
+export function cachedEntry(cache, assetUrl) {
+  return cache?.entries[assetUrl] || null;
+}
+
+/**
+ * Request headers that revalidate a cached entry.
+ */
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Stored body of an entry, or null when the object file is gone or corrupt
+ * (the entry is then forgotten so the next request is unconditional).
+ */
+export async function readCached(cache, assetUrl) {
+  const entry = cache.entries[assetUrl];
+  if (!entry) return null;
+  try {
+    const buffer = await fs.readFile(path.join(cache.objectsDir, entry.hash));
+    if (hashOf(buffer) !== entry.hash) throw new Error('hash mismatch');
+    entry.lastUsed = new Date().toISOString();
+    return { buffer, contentType: entry.contentType };
+  } catch {
+    delete cache.entries[assetUrl];
+    return null;
+  }
+}
+
+/**
+ * Remember a full response. headers are the lower-cased response headers.
+ */
+export async function storeInCache(cache, assetUrl, buffer, headers) {
+  const etag = headers.etag || null;
+  const lastModified = headers['last-modified'] || null;
+  if ((!etag && !lastModified) || /no-store/i.test(headers['cache-control'] || '')) {
+    cache.stats.uncacheable++;
+    delete cache.entries[assetUrl];
+    return;
+  }
+
+  const hash = hashOf(buffer);
+  const objectPath = path.join(cache.objectsDir, hash);
+  if (!(await fs.pathExists(objectPath))) {
+    await fs.outputFile(objectPath, buffer);
+  }
+  const now = new Date().toISOString();
+  cache.entries[assetUrl] = {
+    hash,
+    etag,
+    lastModified,
+    contentType: headers['content-type'] || '',
+    size: buffer.length,
+    storedAt: now,
+    lastUsed: now
+  };
+  cache.stats.stored++;
+}
+
+/**
+ * Write the index and delete objects no entry refers to any more.
+ */
+export async function saveAssetCache(cache) {
+  const cutoff = Date.now() - MAX_UNUSED_DAYS * 24 * 60 * 60 * 1000;
+  for (const [assetUrl, entry] of Object.entries(cache.entries)) {
+    if (Date.parse(entry.lastUsed) < cutoff) delete cache.entries[assetUrl];
+  }
+
+  await fs.ensureDir(cache.dir);
+  const tmp = `${cache.indexFile}.tmp`;
+  await fs.writeJson(tmp, { version: INDEX_VERSION, entries: cache.entries }, { spaces: 2 });
+  await fs.move(tmp, cache.indexFile, { overwrite: true });
+
+  const referenced = new Set(Object.values(cache.entries).map(e => e.hash));
+  const objects = await fs.readdir(cache.objectsDir).catch(() => []);
+  await Promise.all(objects.filter(name => !referenced.has(name))
+    .map(name => fs.remove(path.join(cache.objectsDir, name))));
+}
+
+function hashOf(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
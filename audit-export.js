@@ -15,40 +15,23 @@ import http from 'http';
 import { chromium } from 'playwright';
 import { JSDOM } from 'jsdom';
 import crypto from 'crypto';
-
-// Default configuration
-const DEFAULT_CONFIG = {
-  source_url: '',
-  export_dir: './dist',
-  entry_html: 'index.html',
-  mode: 'safe',
-  viewport_set: [
-    { label: 'mobile', width: 390, height: 844 },
-    { label: 'desktop', width: 1366, height: 900 }
-  ],
-  interactions: [
-    '.x-accordion .x-accordion-toggle',
-    '.x-nav-tabs a',
-    '.x-toggle',
-    '.x-tab',
-    '[data-toggle]',
-    'details summary'
-  ],
-  allow_remote: true,
-  remove_trackers: true,
-  diff_threshold: 0.05, // 5% visual difference threshold
-  server_port: 8081
-};
+import { DEFAULT_CONFIG, resolveConfig, loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+import { compareScreenshots } from './image-diff.js';
+import { compileStripRules, matchDomainRule } from './tracker-strip.js';
+import { loadRecipe, interactionSteps, runRecipe } from './interaction-recipes.js';
 
 class StaticExportAuditor {
   constructor(config) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config = resolveConfig(config);
     this.dependencyGraph = new Map();
     this.essentialAssets = new Set();
     this.removableAssets = new Set();
     this.networkRequests = [];
     this.consoleErrors = [];
-    this.screenshots = new Map();
+    this.screenshots = new Map(); // viewport label -> screenshot before pruning
+    this.prunedFiles = [];        // { url, from, to } moves into assets/_unused
+    this.verification = null;
+    this.recipeResults = {};      // viewport label -> interaction recipe results of the baseline
     this.server = null;
   }
 
@@ -267,25 +250,40 @@ class StaticExportAuditor {
   }
 
   resolveLocalPath(url) {
+    if (url.includes('://')) return null; // External URL
+    // Exported references are percent-encoded; files on disk use decoded names
+    try { url = decodeURIComponent(url); } catch {}
     if (url.startsWith('./')) {
       return path.join(this.config.export_dir, url.slice(2));
     } else if (url.startsWith('/')) {
       return path.join(this.config.export_dir, url.slice(1));
-    } else if (!url.includes('://')) {
-      return path.join(this.config.export_dir, url);
     }
-    return null; // External URL
+    return path.join(this.config.export_dir, url);
   }
 
   async startLocalServer() {
     console.log('🖥️ Starting local server...');
     
     return new Promise((resolve, reject) => {
+      const exportDir = path.resolve(this.config.export_dir);
       this.server = http.createServer((req, res) => {
-        let pathname = req.url.split('?')[0];
+        // Exported references are percent-encoded; files on disk use decoded names
+        let pathname;
+        try {
+          pathname = decodeURIComponent(req.url.split('?')[0].split('#')[0]);
+        } catch {
+          res.writeHead(400);
+          res.end('Bad Request');
+          return;
+        }
         if (pathname === '/') pathname = '/' + this.config.entry_html;
         
-        const filePath = path.join(this.config.export_dir, pathname.slice(1));
+        const filePath = path.resolve(exportDir, pathname.slice(1));
+        if (!filePath.startsWith(exportDir + path.sep)) {
+          res.writeHead(400);
+          res.end('Bad Request');
+          return;
+        }
         
         fs.readFile(filePath, (err, data) => {
           if (err) {
@@ -314,10 +312,10 @@ class StaticExportAuditor {
         });
       });
       
-      this.server.listen(this.config.server_port, (err) => {
+      this.server.listen(this.config.verify_port, (err) => {
         if (err) reject(err);
         else {
-          console.log(`📡 Server running on http://localhost:${this.config.server_port}`);
+          console.log(`📡 Server running on http://localhost:${this.config.verify_port}`);
           resolve();
         }
       });
@@ -331,7 +329,7 @@ class StaticExportAuditor {
     this.networkRequests = [];
     this.consoleErrors = [];
     
-    for (const viewport of this.config.viewport_set) {
+    for (const viewport of this.config.viewports) {
       console.log(`📱 Testing ${viewport.label} (${viewport.width}x${viewport.height})`);
       
       const page = await browser.newPage({ 
@@ -359,23 +357,8 @@ class StaticExportAuditor {
       });
       
       try {
-        await page.goto(`http://localhost:${this.config.server_port}`, { 
-          waitUntil: 'networkidle'
-        });
-        
-        // Auto-scroll
-        await this.autoScroll(page);
-        
-        // Open interactive elements
-        await this.openInteractiveElements(page);
-        
-        // Wait for any late-loading assets
-        await page.waitForTimeout(2000);
-        
-        // Take screenshot
-        const screenshot = await page.screenshot({ fullPage: true });
-        this.screenshots.set(viewport.label, screenshot);
-        
+        // Baseline for the verification pass after pruning
+        this.screenshots.set(viewport.label, await this.loadAndScreenshot(page, viewport.label));
       } catch (error) {
         console.log(`⚠️ Error testing ${viewport.label}: ${error.message}`);
       }
@@ -389,6 +372,27 @@ class StaticExportAuditor {
     console.log(`⚠️ Found ${this.consoleErrors.length} console errors`);
   }
 
+  // Load the export, reveal lazy and interactive content, then take a
+  // full-page screenshot. Used for the baseline (with the viewport label, which
+  // records recipe results and step screenshots) and every verification.
+  async loadAndScreenshot(page, baselineLabel = null) {
+    await page.goto(`http://localhost:${this.config.verify_port}`, { 
+      waitUntil: 'networkidle',
+      timeout: this.config.timeout_sec * 1000
+    });
+    
+    // Auto-scroll
+    await this.autoScroll(page);
+    
+    // Open interactive elements
+    await this.openInteractiveElements(page, baselineLabel);
+    
+    // Wait for any late-loading assets
+    await page.waitForTimeout(2000);
+    
+    return page.screenshot({ fullPage: true });
+  }
+
   async autoScroll(page) {
     await page.evaluate(() => {
       return new Promise(resolve => {
@@ -406,21 +410,15 @@ class StaticExportAuditor {
     });
   }
 
-  async openInteractiveElements(page) {
-    for (const selector of this.config.interactions) {
-      try {
-        const elements = await page.$$(selector);
-        for (const element of elements) {
-          try {
-            await element.click({ timeout: 500 });
-            await page.waitForTimeout(200);
-          } catch (e) {
-            // Ignore individual click failures
-          }
-        }
-      } catch (e) {
-        // Ignore selector failures
-      }
+  async openInteractiveElements(page, baselineLabel) {
+    const results = await runRecipe(page, interactionSteps(this.config, { timeout_ms: 500, wait_ms: 200 }), {
+      screenshotDir: baselineLabel ? this.config.recipe_screenshot_dir || null : null,
+      label: `audit-export-${baselineLabel}`
+    });
+    if (!baselineLabel) return;
+    this.recipeResults[baselineLabel] = results;
+    for (const result of results.filter(r => r.status === 'failed')) {
+      console.log(`   ⚠️ Recipe step ${result.step} (${result.action}${result.selector ? ` ${result.selector}` : ''}) failed: ${result.error}`);
     }
   }
 
@@ -436,23 +434,19 @@ class StaticExportAuditor {
     for (const request of this.networkRequests) {
       const normalizedUrl = this.normalizeURL(request.url);
       if (normalizedUrl.startsWith('http://localhost:')) {
-        const localUrl = normalizedUrl.replace(`http://localhost:${this.config.server_port}`, '');
+        const localUrl = normalizedUrl.replace(`http://localhost:${this.config.verify_port}`, '');
         this.essentialAssets.add(localUrl);
       }
     }
     
-    // Mark trackers for removal if configured
+    // Mark trackers for removal if configured (same rules as the exporter's
+    // --strip; analytics, ads and heatmaps when no packs are configured)
     if (this.config.remove_trackers) {
-      const trackers = [
-        'google-analytics.com',
-        'googletagmanager.com',
-        'facebook.net',
-        'hotjar.com',
-        'mixpanel.com'
-      ];
+      const packs = this.config.strip_trackers.length ? this.config.strip_trackers : ['analytics', 'ads', 'heatmaps'];
+      const rules = compileStripRules(packs, this.config.strip_rules);
       
       for (const [url] of this.dependencyGraph) {
-        if (trackers.some(tracker => url.includes(tracker))) {
+        if (matchDomainRule(this.trackerMatchUrl(url), rules)) {
           this.removableAssets.add(url);
           this.essentialAssets.delete(url);
         }
@@ -463,6 +457,12 @@ class StaticExportAuditor {
     console.log(`🗑️ Removable assets: ${this.removableAssets.size}`);
   }
 
+  // Localized assets live under assets/<host>/...; match them as the remote URL
+  trackerMatchUrl(url) {
+    const local = url.match(/^(?:\.?\/)?assets\/([^/]+)\/(.*)$/);
+    return local ? `https://${local[1]}/${local[2]}` : url;
+  }
+
   async pruneAssets() {
     console.log('✂️ Pruning non-essential assets...');
     
@@ -474,8 +474,11 @@ class StaticExportAuditor {
     for (const url of this.removableAssets) {
       const info = this.dependencyGraph.get(url);
       if (info && info.localPath && await fs.pathExists(info.localPath)) {
-        const unusedPath = path.join(unusedDir, path.basename(info.localPath));
-        await fs.move(info.localPath, unusedPath);
+        // Keep the relative path so files with the same name do not collide
+        // and each one can be restored to where it came from
+        const unusedPath = path.join(unusedDir, path.relative(this.config.export_dir, info.localPath));
+        await fs.move(info.localPath, unusedPath, { overwrite: true });
+        this.prunedFiles.push({ url, from: info.localPath, to: unusedPath });
         prunedCount++;
       }
     }
@@ -485,46 +488,157 @@ class StaticExportAuditor {
 
   async verifyExport() {
     console.log('🔍 Verifying export after pruning...');
-    
-    // TODO: Re-test the export and compare screenshots
-    // This would involve taking new screenshots and comparing them
-    // with the original ones using image diffing algorithms
-    
-    // For now, we'll just re-run the runtime discovery to check for errors
+
+    const threshold = this.config.diff_threshold;
+    this.verification = {
+      status: 'passed',
+      threshold_percentage: Math.round(threshold * 10000) / 100,
+      viewports: [],
+      restored: [],
+      restore_tests: 0
+    };
+
+    if (this.prunedFiles.length === 0) {
+      this.verification.status = 'nothing-pruned';
+      console.log('✅ Nothing was pruned - verification skipped');
+      return;
+    }
+
     const browser = await chromium.launch();
-    let hasErrors = false;
-    
-    for (const viewport of this.config.viewport_set) {
+    try {
+      // Screenshots after pruning, compared with the captures taken before
+      const regressions = await this.findRegressions(browser, this.config.viewports);
+      this.verification.viewports = regressions.results;
+
+      if (regressions.failed.length === 0) {
+        console.log('✅ Verification passed - screenshots match the pre-prune captures');
+        return;
+      }
+
+      console.log(`❌ Pruning changed the rendering in ${regressions.failed.map(v => v.label).join(', ')}`);
+      await this.autoRestore(browser, regressions.failed);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Screenshot the export in the given viewports and compare each with its
+   * pre-prune capture. Viewports without a baseline are skipped.
+   */
+  async findRegressions(browser, viewports) {
+    const results = [];
+    const failed = [];
+
+    for (const viewport of viewports) {
+      const baseline = this.screenshots.get(viewport.label);
+      if (!baseline) continue;
+
       const page = await browser.newPage({ 
         viewport: { width: viewport.width, height: viewport.height }
       });
-      
-      page.on('console', msg => {
-        if (msg.type() === 'error') {
-          console.log(`❌ Console error in ${viewport.label}: ${msg.text()}`);
-          hasErrors = true;
-        }
-      });
-      
+      const result = { viewport: viewport.label, mismatch_percentage: null, passed: false, error: null };
       try {
-        await page.goto(`http://localhost:${this.config.server_port}`, { 
-          waitUntil: 'networkidle'
-        });
+        const diff = compareScreenshots(baseline, await this.loadAndScreenshot(page), { padToLargest: true });
+        result.mismatch_percentage = Math.round(diff.diffRatio * 10000) / 100;
+        result.passed = diff.diffRatio <= this.config.diff_threshold;
       } catch (error) {
-        console.log(`❌ Failed to load in ${viewport.label}: ${error.message}`);
-        hasErrors = true;
+        result.error = error.message;
       }
-      
       await page.close();
+
+      results.push(result);
+      if (!result.passed) failed.push(viewport);
     }
-    
-    await browser.close();
-    
-    if (hasErrors) {
-      console.log('⚠️ Verification found issues - consider restoring some pruned assets');
-    } else {
-      console.log('✅ Verification passed - export is functional');
+
+    return { results, failed };
+  }
+
+  /**
+   * Restore pruned files until the page matches again. Restoring everything
+   * must fix the regression; the set is then narrowed by bisection to the
+   * smallest set of files that still does.
+   */
+  async autoRestore(browser, failedViewports) {
+    const candidates = this.prunedFiles.slice();
+    // Each distinct restore set is rendered once; the pruned state is known to fail
+    const tested = new Map([['', false]]);
+    const passes = async restored => {
+      const key = restored.map(f => f.url).sort().join('\n');
+      if (!tested.has(key)) {
+        this.verification.restore_tests++;
+        await this.applyRestoreSet(restored);
+        tested.set(key, (await this.findRegressions(browser, failedViewports)).failed.length === 0);
+      }
+      return tested.get(key);
+    };
+
+    console.log(`♻️ Restoring ${candidates.length} pruned files to confirm the regression comes from pruning...`);
+    if (!await passes(candidates)) {
+      // Not caused by pruning (animations, time-dependent content): keep
+      // everything restored rather than guess
+      this.verification.status = 'unresolved';
+      this.verification.restored = candidates.map(f => f.url);
+      this.markRestored(candidates);
+      console.log('⚠️ Screenshots still differ with all files restored - all pruned files were kept');
+      return;
+    }
+
+    const minimal = await this.bisectRestore(candidates, [], passes);
+
+    // Final check across every viewport; fall back to restoring everything
+    await this.applyRestoreSet(minimal);
+    const final = await this.findRegressions(browser, this.config.viewports);
+    this.verification.viewports = final.results;
+    const restored = final.failed.length === 0 ? minimal : candidates;
+    if (restored !== minimal) {
+      await this.applyRestoreSet(candidates);
+      console.log('⚠️ Narrowed restore did not pass in every viewport - all pruned files were kept');
+    }
+
+    this.verification.status = 'restored';
+    this.verification.restored = restored.map(f => f.url);
+    this.markRestored(restored);
+    console.log(`♻️ Restored ${restored.length} of ${candidates.length} pruned files after ${this.verification.restore_tests} verification runs:`);
+    restored.forEach(f => console.log(`   ↩️ ${f.url}`));
+  }
+
+  /**
+   * Smallest subset of candidates that, restored together with required,
+   * makes passes() true. Assumes restoring required + all candidates passes.
+   */
+  async bisectRestore(candidates, required, passes) {
+    if (candidates.length === 0 || await passes(required)) return [];
+    if (candidates.length === 1) return candidates;
+
+    const half = Math.ceil(candidates.length / 2);
+    const first = candidates.slice(0, half);
+    const second = candidates.slice(half);
+
+    if (await passes([...required, ...first])) return this.bisectRestore(first, required, passes);
+    if (await passes([...required, ...second])) return this.bisectRestore(second, required, passes);
+
+    // Files from both halves are needed
+    const fromFirst = await this.bisectRestore(first, [...required, ...second], passes);
+    const fromSecond = await this.bisectRestore(second, [...required, ...fromFirst], passes);
+    return [...fromFirst, ...fromSecond];
+  }
+
+  // Put restored files back in place and keep every other pruned file in _unused
+  async applyRestoreSet(restored) {
+    const restore = new Set(restored);
+    for (const file of this.prunedFiles) {
+      const [src, dest] = restore.has(file) ? [file.to, file.from] : [file.from, file.to];
+      if (await fs.pathExists(src)) await fs.move(src, dest, { overwrite: true });
+    }
+  }
+
+  markRestored(files) {
+    for (const file of files) {
+      this.removableAssets.delete(file.url);
+      this.essentialAssets.add(file.url);
     }
+    this.prunedFiles = this.prunedFiles.filter(f => !files.includes(f));
   }
 
   async generateOutputs() {
@@ -558,9 +672,10 @@ class StaticExportAuditor {
           }
         ])
       ),
-      viewportsTested: this.config.viewport_set,
+      viewportsTested: this.config.viewports,
       networkRequests: this.networkRequests.length,
-      consoleErrors: this.consoleErrors.length
+      consoleErrors: this.consoleErrors.length,
+      verification: this.verification
     };
     
     await fs.writeJson(path.join(finalDir, 'manifest.json'), manifest, { spaces: 2 });
@@ -573,6 +688,7 @@ class StaticExportAuditor {
     const jsonReport = {
       ...manifest,
       consoleErrors: this.consoleErrors,
+      ...(this.config.recipe.length ? { recipe: this.recipeResults } : {}),
       recommendations: this.generateRecommendations()
     };
     await fs.writeJson(path.join(finalDir, 'audit-report.json'), jsonReport, { spaces: 2 });
@@ -649,9 +765,30 @@ class StaticExportAuditor {
         ` : ''}
     </div>
     
+    ${manifest.verification ? `
+    <div class="section">
+        <h2>🖼️ Verification After Pruning</h2>
+        ${{
+          'passed': `<div class="success">✅ Screenshots match the pre-prune captures (threshold ${manifest.verification.threshold_percentage}%)</div>`,
+          'nothing-pruned': '<div class="success">✅ Nothing was pruned</div>',
+          'restored': `<div class="warning">♻️ Pruning changed the rendering; ${manifest.verification.restored.length} files were restored after ${manifest.verification.restore_tests} verification runs</div>`,
+          'unresolved': '<div class="error">⚠️ Screenshots differ even with every pruned file restored; all files were kept</div>'
+        }[manifest.verification.status]}
+        ${manifest.verification.viewports.map(result =>
+          `<div>${result.passed ? '✅' : '❌'} ${result.viewport}: ${result.error || `${result.mismatch_percentage}% mismatch`}</div>`
+        ).join('')}
+        ${manifest.verification.restored.length > 0 ? `
+        <h3>Restored Assets (${manifest.verification.restored.length})</h3>
+        <div class="asset-list">
+            ${manifest.verification.restored.map(asset => `<div>↩️ ${asset}</div>`).join('')}
+        </div>
+        ` : ''}
+    </div>
+    ` : ''}
+    
     <div class="section">
         <h2>📱 Viewports Tested</h2>
-        ${this.config.viewport_set.map(vp => 
+        ${this.config.viewports.map(vp => 
           `<div>📱 ${vp.label}: ${vp.width}x${vp.height}</div>`
         ).join('')}
     </div>
@@ -674,9 +811,20 @@ class StaticExportAuditor {
       recommendations.push('No assets were removed - consider reviewing tracker removal settings');
     }
     
+    if (this.verification?.status === 'restored') {
+      recommendations.push(`${this.verification.restored.length} pruned assets were needed for rendering and restored - review the tracker list`);
+    } else if (this.verification?.status === 'unresolved') {
+      recommendations.push('Screenshots vary between runs even without pruning - disable animations or raise diff_threshold');
+    }
+    
     if (this.networkRequests.length > 100) {
       recommendations.push('High number of network requests - consider asset bundling');
     }
+
+    const failedSteps = Object.values(this.recipeResults).flat().filter(r => r.status === 'failed');
+    if (failedSteps.length > 0) {
+      recommendations.push(`${failedSteps.length} interaction recipe steps failed on the export - content they reveal was not checked`);
+    }
     
     return recommendations;
   }
@@ -691,23 +839,33 @@ class StaticExportAuditor {
 
 // CLI interface
 async function main() {
-  const configPath = process.argv[2];
-  let config = {};
-  
-  if (configPath && await fs.pathExists(configPath)) {
-    config = await fs.readJson(configPath);
-  } else if (process.argv.length > 2) {
-    // Simple CLI args: source_url export_dir
-    config = {
-      source_url: process.argv[2],
-      export_dir: process.argv[3] || './dist'
-    };
+  const argv = process.argv.slice(2);
+  const positional = positionalArgs(argv);
+
+  // Legacy form: a config file as the first argument
+  let configPath = configPathFromArgs(argv);
+  if (!configPath && positional[0]?.endsWith('.json') && await fs.pathExists(positional[0])) {
+    configPath = positional.shift();
   }
+
+  // Simple CLI args: source_url export_dir
+  const portIndex = argv.indexOf('--port');
+  const config = loadConfig({
+    configPath,
+    overrides: {
+      source_url: positional[0],
+      export_dir: positional[1],
+      verify_port: portIndex > -1 ? parseInt(argv[portIndex + 1], 10) : undefined,
+      recipe: argv.includes('--recipe') ? loadRecipe(argv[argv.indexOf('--recipe') + 1]) : undefined
+    }
+  });
   
   if (!config.source_url) {
     console.log(`
 Usage: node audit-export.js [config.json]
-   or: node audit-export.js <source_url> [export_dir]
+   or: node audit-export.js <source_url> [export_dir] [--config export.config.json] [--port N] [--recipe recipe.json]
+
+Settings are read from ./export.config.json (or --config); arguments override them.
 
 Example config.json:
 ${JSON.stringify(DEFAULT_CONFIG, null, 2)}
@@ -720,7 +878,10 @@ ${JSON.stringify(DEFAULT_CONFIG, null, 2)}
 }
 
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
 }
 
 export default StaticExportAuditor;
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * The local servers of both auditors: asset files are saved under decoded
+ * names (spaces, non-ASCII) and referenced percent-encoded in the HTML, so
+ * the servers must decode request paths and stay inside the export.
+ *
+ * Run with: npm test
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import PostExportAuditor from './post-export-auditor.js';
+import StaticExportAuditor from './audit-export.js';
+
+let tmpDir;
+let exportDir;
+
+// A port nothing listens on, for the auditors' fixed-port servers
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+function get(port, requestPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: requestPath }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+    }).on('error', reject);
+  });
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auditor-servers-'));
+  exportDir = path.join(tmpDir, 'site');
+  await fs.outputFile(path.join(exportDir, 'index.html'), '<img src="assets/img/caf%C3%A9%20menu.png">');
+  await fs.outputFile(path.join(exportDir, 'assets/img/café menu.png'), 'png');
+  await fs.outputFile(path.join(exportDir, 'assets/css/صفحة.css'), 'body{}');
+  await fs.outputFile(path.join(tmpDir, 'secret.txt'), 'outside');
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+  mock.restoreAll();
+});
+
+const auditors = [
+  ['post-export-auditor.js', port => new PostExportAuditor({ export_dir: exportDir, server_port: port })],
+  ['audit-export.js', port => new StaticExportAuditor({ export_dir: exportDir, verify_port: port })]
+];
+
+for (const [name, create] of auditors) {
+  test(`${name}: serves percent-encoded names of files saved with spaces and non-ASCII characters`, async () => {
+    const port = await freePort();
+    const auditor = create(port);
+    await auditor.startLocalServer();
+    try {
+      assert.deepEqual(await get(port, '/assets/img/caf%C3%A9%20menu.png?ver=2'), { status: 200, body: 'png' });
+      assert.deepEqual(await get(port, `/assets/css/${encodeURIComponent('صفحة')}.css`), { status: 200, body: 'body{}' });
+      assert.equal((await get(port, '/')).status, 200);
+      assert.equal((await get(port, '/assets/img/missing.png')).status, 404);
+    } finally {
+      await auditor.cleanup();
+    }
+  });
+
+  test(`${name}: rejects malformed escapes and paths outside the export`, async () => {
+    const port = await freePort();
+    const auditor = create(port);
+    await auditor.startLocalServer();
+    try {
+      assert.equal((await get(port, '/assets/%E0%A4%A.png')).status, 400);
+      assert.equal((await get(port, '/..%2Fsecret.txt')).status, 400);
+      assert.equal((await get(port, '/assets/..%2F..%2F..%2Fsecret.txt')).status, 400);
+    } finally {
+      await auditor.cleanup();
+    }
+  });
+}
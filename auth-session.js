@@ -0,0 +1,210 @@
+/**
+ * Authenticated sessions for staging sites, drafts and private pages.
+ *
+ * Builds one session (basic auth, custom headers, cookies, Playwright storage
+ * state, optional scripted wp-login.php login) that is shared by the Playwright
+ * pass and the axios asset downloader. Secrets live only in memory: use
+ * describeAuth() and redactUrl() for anything written to reports.
+ *
+ * CLI flags understood by parseAuthArgs():
+ *   --auth user:pass            HTTP basic auth (or EXPORT_BASIC_AUTH)
+ *   --header "Name: value"      extra request header, repeatable
+ *   --cookie "a=1; b=2"         cookies for the source site
+ *   --storage-state state.json  Playwright storage-state file
+ *   --wp-login user:pass        log in through wp-login.php (or EXPORT_WP_LOGIN)
+ *   --wp-login-url URL          custom login URL (default: <origin>/wp-login.php)
+ */
+
+import fs from 'fs-extra';
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  return i > -1 ? argv[i + 1] : undefined;
+}
+
+function argValues(argv, flag) {
+  const values = [];
+  argv.forEach((a, i) => { if (a === flag && argv[i + 1] !== undefined) values.push(argv[i + 1]); });
+  return values;
+}
+
+function parseCredentials(value) {
+  if (!value) return null;
+  const i = value.indexOf(':');
+  if (i < 1) throw new Error('Credentials must be given as user:password');
+  return { username: value.slice(0, i), password: value.slice(i + 1) };
+}
+
+export function parseAuthArgs(argv, env = process.env) {
+  const headers = {};
+  for (const header of argValues(argv, '--header')) {
+    const i = header.indexOf(':');
+    if (i < 1) throw new Error(`Invalid --header "${header}" - expected "Name: value"`);
+    headers[header.slice(0, i).trim()] = header.slice(i + 1).trim();
+  }
+
+  return {
+    basic: parseCredentials(argValue(argv, '--auth') || env.EXPORT_BASIC_AUTH),
+    headers,
+    cookies: argValue(argv, '--cookie') || '',
+    storageStatePath: argValue(argv, '--storage-state') || null,
+    wpLogin: parseCredentials(argValue(argv, '--wp-login') || env.EXPORT_WP_LOGIN),
+    wpLoginUrl: argValue(argv, '--wp-login-url') || null
+  };
+}
+
+export function hasAuth(auth) {
+  return !!(auth && (auth.basic || Object.keys(auth.headers).length || auth.cookies ||
+    auth.storageStatePath || auth.wpLogin));
+}
+
+function parseCookieString(cookieString, sourceUrl) {
+  const { hostname, protocol } = new URL(sourceUrl);
+  return cookieString.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const i = part.indexOf('=');
+    return {
+      name: i > -1 ? part.slice(0, i).trim() : part,
+      value: i > -1 ? part.slice(i + 1).trim() : '',
+      domain: hostname,
+      path: '/',
+      expires: -1,
+      httpOnly: false,
+      secure: protocol === 'https:',
+      sameSite: 'Lax'
+    };
+  });
+}
+
+/**
+ * Playwright context options for a viewport in this session.
+ */
+export function contextOptions(session, viewport) {
+  const { auth, sourceOrigin } = session;
+  const options = { viewport };
+  if (session.storageState) options.storageState = session.storageState;
+  if (auth.basic) options.httpCredentials = { ...auth.basic, origin: sourceOrigin };
+  return options;
+}
+
+/**
+ * Open a page in a fresh context carrying the session credentials. Custom
+ * headers are only attached to requests for the source origin so they never
+ * leak to CDNs or trackers. Close the returned context when done.
+ */
+export async function newSessionPage(browser, session, viewport) {
+  const context = await browser.newContext(contextOptions(session, viewport));
+  const { headers } = session.auth;
+  if (Object.keys(headers).length) {
+    await context.route(u => u.origin === session.sourceOrigin, route => {
+      route.continue({ headers: { ...route.request().headers(), ...headers } });
+    });
+  }
+  const page = await context.newPage();
+  return { context, page };
+}
+
+async function wordpressLogin(browser, session) {
+  const loginUrl = session.auth.wpLoginUrl || new URL('/wp-login.php', session.sourceOrigin).toString();
+  console.log(`🔐 Logging in to WordPress: ${loginUrl}`);
+
+  const { context, page } = await newSessionPage(browser, session, { width: 1366, height: 900 });
+  try {
+    await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await page.fill('#user_login', session.auth.wpLogin.username);
+    await page.fill('#user_pass', session.auth.wpLogin.password);
+    await page.click('#wp-submit');
+    await page.waitForLoadState('domcontentloaded').catch(() => {});
+
+    const cookies = await context.cookies();
+    if (!cookies.some(c => c.name.startsWith('wordpress_logged_in_'))) {
+      throw new Error('WordPress login failed - check the --wp-login credentials');
+    }
+    console.log('✅ WordPress login succeeded');
+    return await context.storageState();
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * Build the session for sourceUrl: load storage state, add cookies and run the
+ * scripted WordPress login if requested.
+ */
+export async function prepareSession(browser, sourceUrl, auth) {
+  const session = {
+    auth,
+    sourceOrigin: new URL(sourceUrl).origin,
+    storageState: null
+  };
+
+  if (auth.storageStatePath) {
+    session.storageState = await fs.readJson(auth.storageStatePath);
+  }
+  if (auth.cookies) {
+    const state = session.storageState || { cookies: [], origins: [] };
+    session.storageState = { ...state, cookies: [...(state.cookies || []), ...parseCookieString(auth.cookies, sourceUrl)] };
+  }
+  if (auth.wpLogin) {
+    session.storageState = await wordpressLogin(browser, session);
+  }
+
+  return session;
+}
+
+function cookieMatches(cookie, target) {
+  const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+  const host = target.hostname.toLowerCase();
+  if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+  if (cookie.secure && target.protocol !== 'https:') return false;
+  if (cookie.expires > 0 && cookie.expires * 1000 < Date.now()) return false;
+  return target.pathname.startsWith(cookie.path || '/');
+}
+
+/**
+ * axios options for an asset URL: session cookies for matching domains, basic
+ * auth and custom headers only for the source origin.
+ */
+export function requestOptions(session, absUrl, referer) {
+  const target = new URL(absUrl);
+  const sameOrigin = target.origin === session.sourceOrigin;
+  const headers = {};
+  if (referer) headers.Referer = referer;
+  if (sameOrigin) Object.assign(headers, session.auth.headers);
+
+  const cookies = (session.storageState?.cookies || []).filter(c => cookieMatches(c, target));
+  if (cookies.length) headers.Cookie = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+
+  const options = { headers };
+  if (sameOrigin && session.auth.basic) options.auth = session.auth.basic;
+  return options;
+}
+
+/**
+ * Report-safe summary of the authentication in use: which mechanisms, never
+ * their values.
+ */
+export function describeAuth(session) {
+  const { auth } = session;
+  return {
+    basicAuth: !!auth.basic,
+    customHeaders: Object.keys(auth.headers),
+    cookies: session.storageState?.cookies?.length || 0,
+    storageStateFile: !!auth.storageStatePath,
+    wordpressLogin: !!auth.wpLogin
+  };
+}
+
+/**
+ * Strip user:password from URLs before they are written anywhere.
+ */
+export function redactUrl(value) {
+  try {
+    const u = new URL(value);
+    if (!u.username && !u.password) return value;
+    u.username = '';
+    u.password = '';
+    return u.toString();
+  } catch {
+    return value;
+  }
+}
@@ -10,24 +10,34 @@
  * 4. إنتاج المجلد النهائي النظيف
  * 
  * الاستخدام: node auto-export.js <URL>
+ *            node auto-export.js --pages pages.json
+ *            node auto-export.js --discover <site-url|export.xml> [--type page]
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import { spawn } from 'child_process';
 import { URL } from 'url';
+import PageDiscovery, { parseDiscoveryArgs } from './discover-pages.js';
+import UnusedFilesCleanup from './cleanup-unused.js';
+import { loadConfig, configPathFromArgs } from './project-config.js';
 
 class AutoExporter {
-  constructor(sourceUrl) {
+  constructor(sourceUrl, options = {}) {
     this.sourceUrl = sourceUrl;
+    this.exitOnError = options.exitOnError !== false;
+    this.mode = options.mode || 'safe';
+    // ملف الإعدادات المشترك يُمرَّر لكل الأدوات الفرعية
+    this.configPath = options.configPath || null;
     this.workspaceDir = process.cwd();
     this.tempDir = path.join(this.workspaceDir, 'temp_export');
     this.auditDir = path.join(this.workspaceDir, 'audit');
-    this.backupDir = path.join(this.workspaceDir, 'backup_unused');
     
     // استخراج اسم الصفحة من URL
     this.pageName = this.extractPageName(sourceUrl);
     this.finalDir = path.join(this.workspaceDir, this.pageName);
+    // سجل التنظيف بجانب المجلد النهائي، للاسترجاع بـ: node cleanup-unused.js restore <page>
+    this.journalDir = UnusedFilesCleanup.defaultJournalDir(this.finalDir);
   }
 
   extractPageName(url) {
@@ -51,6 +61,10 @@ class AutoExporter {
     }
   }
 
+  configArgs() {
+    return this.configPath ? ['--config', this.configPath] : [];
+  }
+
   async runCommand(command, args = [], description = '') {
     console.log(`🔄 ${description}...`);
     
@@ -101,17 +115,13 @@ class AutoExporter {
     
     try {
       // تشغيل التصدير مع المعاملات الصحيحة
+      // التصدير مباشرة إلى المجلد المؤقت
       await this.runCommand('exporter_v2.js', [
         this.sourceUrl,
-        '--mode', 'safe'
+        '--mode', this.mode,
+        '--export-dir', this.tempDir,
+        ...this.configArgs()
       ], 'تصدير الصفحة');
-      
-      // نقل النتائج من dist إلى temp_export
-      const distDir = path.join(this.workspaceDir, 'dist');
-      if (await fs.pathExists(distDir)) {
-        await fs.copy(distDir, this.tempDir);
-        await fs.remove(distDir); // تنظيف dist
-      }
     } finally {
       process.chdir(originalCwd);
     }
@@ -125,7 +135,8 @@ class AutoExporter {
     
     await this.runCommand('post-export-auditor.js', [
       this.sourceUrl,
-      this.tempDir
+      this.tempDir,
+      ...this.configArgs()
     ], 'Analyzing unused files');
   }
 
@@ -137,76 +148,15 @@ class AutoExporter {
     if (!await fs.pathExists(auditReportPath)) {
       throw new Error('تقرير الفحص غير موجود');
     }
-    
-    // قراءة تقرير الفحص
-    const auditReport = await fs.readJson(auditReportPath);
-    const unusedFiles = auditReport.largest_unused_files || [];
-    
-    if (unusedFiles.length === 0) {
-      console.log('✅ لا توجد ملفات غير مستخدمة للحذف');
-      return;
-    }
 
-    // إنشاء نسخة احتياطية
-    await fs.remove(this.backupDir);
-    await fs.ensureDir(this.backupDir);
-    
-    let deletedCount = 0;
-    let savedSize = 0;
+    // سجل جديد لكل تصدير جديد
+    await fs.remove(this.journalDir);
 
-    // حذف الملفات غير المستخدمة (عدا index.html الرئيسي)
-    for (const fileInfo of unusedFiles) {
-      // تجنب حذف index.html الرئيسي
-      if (fileInfo.path === 'index.html') {
-        continue;
-      }
-      
-      const filePath = path.join(this.tempDir, fileInfo.path);
-      
-      if (await fs.pathExists(filePath)) {
-        // إنشاء نسخة احتياطية
-        const backupPath = path.join(this.backupDir, fileInfo.path);
-        await fs.ensureDir(path.dirname(backupPath));
-        await fs.copy(filePath, backupPath);
-        
-        // حذف الملف الأصلي
-        await fs.remove(filePath);
-        
-        deletedCount++;
-        savedSize += fileInfo.size;
-        
-        console.log(`🗑️  حُذف: ${fileInfo.path} (${fileInfo.sizeKB} KB)`);
-      }
-    }
-
-    // تنظيف المجلدات الفارغة
-    await this.cleanupEmptyDirectories(this.tempDir);
+    // القائمة الكاملة للملفات غير المستخدمة، مع سجل قابل للاسترجاع
+    const cleanup = new UnusedFilesCleanup(auditReportPath, this.tempDir, { journalDir: this.journalDir });
+    const { removed, savedSize } = await cleanup.cleanup();
 
-    console.log(`\n📊 نتيجة التنظيف: ${deletedCount} ملف محذوف، ${Math.round(savedSize / 1024)} KB محفوظ`);
-  }
-
-  async cleanupEmptyDirectories(dir) {
-    try {
-      const items = await fs.readdir(dir);
-      
-      for (const item of items) {
-        const itemPath = path.join(dir, item);
-        const stat = await fs.stat(itemPath);
-        
-        if (stat.isDirectory()) {
-          await this.cleanupEmptyDirectories(itemPath);
-          
-          // التحقق من المجلد فارغ أم لا
-          const remainingItems = await fs.readdir(itemPath);
-          if (remainingItems.length === 0) {
-            await fs.remove(itemPath);
-            console.log(`📁 حُذف مجلد فارغ: ${path.relative(this.tempDir, itemPath)}`);
-          }
-        }
-      }
-    } catch (error) {
-      // تجاهل أخطاء الوصول للمجلدات
-    }
+    console.log(`\n📊 نتيجة التنظيف: ${removed.length} ملف محذوف، ${Math.round(savedSize / 1024)} KB محفوظ`);
   }
 
   async step4_CreateFinalOutput() {
@@ -244,7 +194,8 @@ class AutoExporter {
     // Final audit to ensure export integrity
     await this.runCommand('post-export-auditor.js', [
       this.sourceUrl,
-      this.finalDir
+      this.finalDir,
+      ...this.configArgs()
     ], 'Final export verification');
     
     // Display final statistics
@@ -264,9 +215,8 @@ class AutoExporter {
   async cleanup() {
     console.log('\n🧹 تنظيف الملفات المؤقتة...');
     
-    // حذف الملفات المؤقتة
+    // حذف الملفات المؤقتة (سجل التنظيف يبقى للاسترجاع)
     await fs.remove(this.tempDir);
-    await fs.remove(this.backupDir);
     
     console.log('✅ تم تنظيف الملفات المؤقتة');
   }
@@ -301,24 +251,98 @@ class AutoExporter {
       // تنظيف في حالة الفشل
       await this.cleanup().catch(() => {});
       
+      if (!this.exitOnError) throw error;
       process.exit(1);
     }
   }
+
+  // تصدير قائمة صفحات بالتتابع (من discover-pages.js أو ملف --pages)
+  static async runBatch(urls, options = {}) {
+    const results = [];
+    
+    for (const [index, url] of urls.entries()) {
+      console.log(`\n📚 الصفحة ${index + 1}/${urls.length}: ${url}`);
+      const exporter = new AutoExporter(url, { ...options, exitOnError: false });
+      try {
+        await exporter.run();
+        results.push({ url, output: exporter.pageName, success: true });
+      } catch (error) {
+        results.push({ url, output: exporter.pageName, success: false, error: error.message });
+      }
+    }
+    
+    const failed = results.filter(r => !r.success);
+    console.log('\n' + '='.repeat(60));
+    console.log(`📊 تم تصدير ${results.length - failed.length}/${results.length} صفحة`);
+    failed.forEach(r => console.log(`   ❌ ${r.url}: ${r.error}`));
+    
+    return results;
+  }
+}
+
+// قراءة قائمة الصفحات: JSON (مصفوفة روابط أو ناتج discover-pages.js) أو نص بسطر لكل رابط
+async function loadPageList(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(content).map(entry => typeof entry === 'string' ? entry : entry.url).filter(Boolean);
+  }
+  return content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  return i > -1 ? argv[i + 1] : undefined;
 }
 
 // واجهة سطر الأوامر
 async function main() {
-  const sourceUrl = process.argv[2];
+  const argv = process.argv.slice(2);
+  const configPath = configPathFromArgs(argv);
+  const config = loadConfig({
+    configPath,
+    overrides: {
+      source_url: argv[0] && !argv[0].startsWith('--') ? argv[0] : undefined,
+      mode: argValue(argv, '--mode')
+    }
+  });
+  const options = { configPath, mode: config.mode };
+  
+  const pagesFile = argValue(argv, '--pages');
+  const discoverTarget = argValue(argv, '--discover');
+  
+  if (pagesFile || discoverTarget) {
+    let urls;
+    if (pagesFile) {
+      urls = await loadPageList(pagesFile);
+    } else {
+      const discovery = new PageDiscovery(discoverTarget, parseDiscoveryArgs(argv, config));
+      urls = (await discovery.discover()).map(page => page.url);
+    }
+    
+    if (urls.length === 0) {
+      console.error('❌ لم يتم العثور على صفحات للتصدير');
+      process.exit(1);
+    }
+    
+    const results = await AutoExporter.runBatch(urls, options);
+    if (results.some(r => !r.success)) process.exit(1);
+    return;
+  }
+  
+  const sourceUrl = config.source_url;
   
   if (!sourceUrl) {
     console.log(`
 🚀 أداة التصدير الآلي الكامل
 
-الاستخدام: node auto-export.js <URL>
+الاستخدام: node auto-export.js <URL> [--mode safe|balanced|aggressive] [--config export.config.json]
+         node auto-export.js --pages pages.json
+         node auto-export.js --discover <site-url|export.xml> [--type page] [--slug REGEX]
 
 مثال:
   node auto-export.js http://micro.local/1-2/
   node auto-export.js https://example.com/page
+  node auto-export.js --discover https://example.com --type page --modified-after 2024-01-01
 
 المراحل:
   1. تصدير جديد (Fresh Export)
@@ -326,16 +350,21 @@ async function main() {
   3. تنظيف ذكي (Smart Cleanup)
   4. إنشاء المجلد النهائي (Final Output)
   5. التحقق النهائي (Final Verification)
+
+الإعدادات تُقرأ من ./export.config.json (أو --config) وخيارات سطر الأوامر تتقدم عليها.
 `);
     process.exit(1);
   }
   
-  const autoExporter = new AutoExporter(sourceUrl);
+  const autoExporter = new AutoExporter(sourceUrl, options);
   await autoExporter.run();
 }
 
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
 }
 
 export default AutoExporter;
\ No newline at end of file
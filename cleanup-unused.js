@@ -2,89 +2,318 @@
 
 /**
  * أداة تنظيف الملفات غير المستخدمة (Unused Files Cleanup Tool)
- * تقرأ تقرير الفحص وتحذف الملفات غير المستخدمة
+ * تقرأ تقرير الفحص وتحذف كل الملفات غير المستخدمة مع سجل قابل للاسترجاع
+ *
+ * السجل (journal) يُحفظ بجانب مجلد التصدير في <export>.cleanup/ وليس داخله،
+ * حتى لا يُسلَّم للعميل:
+ *   journal.json        كل عملية تنظيف: المسار والحجم وبصمة SHA-256 لكل ملف محذوف
+ *   objects/<sha256>    محتوى الملفات المحذوفة
+ *
+ * الاسترجاع يعيد تشغيل السجل بالعكس (آخر عملية أولاً).
+ *
+ * الفاحص يفحص صفحة واحدة، فقبل الحذف تُجمع المراجع من كل صفحات HTML في
+ * التصدير (صفحات --crawl والإطارات المحلية في manifest.json وغيرها) ومن ملفات
+ * CSS/JS التي تشير إليها، ولا يُحذف ملف تشير إليه أي صفحة.
  */
 
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
+import { JSDOM } from 'jsdom';
+import { loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+
+const JOURNAL_VERSION = 1;
+
+// ملفات لا تُحذف أبداً حتى لو لم تُطلب أثناء الفحص
+const PROTECTED_FILES = new Set(['manifest.json', 'export-report.json', 'prune-report.json', 'strip-report.json', 'export-info.json']);
+
+// نصوص في JS تبدو مسارات ملفات (نفس نمط post-export-auditor.js)
+const JS_ASSET_PATTERN = /['"`]([^'"`\s]*\.(?:png|jpe?g|gif|svg|webp|avif|woff2?|ttf|eot|otf|css|js|json|mp4|webm|mp3))['"`]/gi;
+const SOURCE_MAP_PATTERN = /[#@]\s*sourceMappingURL=([^\s'"*]+)/g;
 
 class UnusedFilesCleanup {
-  constructor(auditReportPath, exportDir) {
+  constructor(auditReportPath, exportDir, options = {}) {
     this.auditReportPath = auditReportPath;
-    this.exportDir = exportDir;
-    this.backupDir = path.join(exportDir, '../backup_unused');
+    this.exportDir = path.resolve(exportDir);
+    this.journalDir = path.resolve(options.journalDir || UnusedFilesCleanup.defaultJournalDir(exportDir));
+    this.journalPath = path.join(this.journalDir, 'journal.json');
+    this.objectsDir = path.join(this.journalDir, 'objects');
+    this.dryRun = options.dryRun === true;
+  }
+
+  static defaultJournalDir(exportDir) {
+    const resolved = path.resolve(exportDir);
+    return path.join(path.dirname(resolved), `${path.basename(resolved)}.cleanup`);
   }
 
   async cleanup() {
-    console.log('🧹 بدء تنظيف الملفات غير المستخدمة...');
-    
-    try {
-      // قراءة تقرير الفحص
-      const auditReport = await fs.readJson(this.auditReportPath);
-      const unusedFiles = auditReport.largest_unused_files || [];
-      
-      if (unusedFiles.length === 0) {
-        console.log('✅ لا توجد ملفات غير مستخدمة للحذف');
-        return;
+    console.log(this.dryRun
+      ? '🧪 تشغيل تجريبي (--dry-run): لن يُحذف أي ملف'
+      : '🧹 بدء تنظيف الملفات غير المستخدمة...');
+
+    // قراءة تقرير الفحص: القائمة الكاملة، مع دعم التقارير القديمة
+    const auditReport = await fs.readJson(this.auditReportPath);
+    const unusedFiles = auditReport.unused_files || auditReport.largest_unused_files || [];
+    if (!auditReport.unused_files && unusedFiles.length) {
+      console.log('⚠️ التقرير قديم ولا يحتوي unused_files - سيُستخدم largest_unused_files فقط');
+    }
+
+    const references = unusedFiles.length ? await this.collectReferences() : new Map();
+
+    const planned = [];
+    const skipped = [];
+    for (const fileInfo of unusedFiles) {
+      const reason = await this.checkCandidate(fileInfo, references);
+      if (reason) skipped.push({ path: fileInfo.path, reason });
+      else planned.push(fileInfo);
+    }
+
+    skipped.forEach(s => console.log(`⏭️  تُرك: ${s.path} (${s.reason})`));
+
+    if (planned.length === 0) {
+      console.log('✅ لا توجد ملفات غير مستخدمة للحذف');
+      return { removed: [], skipped, savedSize: 0 };
+    }
+
+    const savedSize = planned.reduce((sum, f) => sum + f.size, 0);
+
+    if (this.dryRun) {
+      planned.forEach(f => console.log(`🗑️  سيُحذف: ${f.path} (${formatKB(f.size)} KB)`));
+      console.log('\n📊 ملخص التشغيل التجريبي:');
+      console.log(`   🗑️  ملفات ستُحذف: ${planned.length}`);
+      console.log(`   ⏭️  ملفات متروكة: ${skipped.length}`);
+      console.log(`   💾 المساحة التي ستُوفَّر: ${formatKB(savedSize)} KB`);
+      return { removed: planned.map(f => f.path), skipped, savedSize, dryRun: true };
+    }
+
+    // 1) حفظ المحتوى في السجل أولاً، 2) كتابة السجل، 3) ثم الحذف
+    // حتى يبقى كل ملف محذوف قابلاً للاسترجاع إذا توقفت العملية في المنتصف
+    const entry = {
+      id: new Date().toISOString(),
+      audit_report: path.resolve(this.auditReportPath),
+      files: [],
+      removed_dirs: []
+    };
+    for (const fileInfo of planned) {
+      const filePath = path.join(this.exportDir, fileInfo.path);
+      const data = await fs.readFile(filePath);
+      const hash = sha256(data);
+      const objectPath = path.join(this.objectsDir, hash);
+      if (!await fs.pathExists(objectPath)) await fs.outputFile(objectPath, data);
+      entry.files.push({ path: toPosix(fileInfo.path), size: data.length, sha256: hash });
+    }
+
+    const journal = await this.readJournal();
+    journal.entries.push(entry);
+    await this.writeJournal(journal);
+
+    for (const file of entry.files) {
+      await fs.remove(path.join(this.exportDir, file.path));
+      console.log(`🗑️  حُذف: ${file.path} (${formatKB(file.size)} KB)`);
+    }
+
+    // تنظيف المجلدات الفارغة (تُسجَّل لتُعاد عند الاسترجاع)
+    await this.cleanupEmptyDirectories(this.exportDir, entry.removed_dirs);
+    await this.writeJournal(journal);
+
+    console.log('\n📊 ملخص التنظيف:');
+    console.log(`   🗑️  الملفات المحذوفة: ${entry.files.length}`);
+    console.log(`   ⏭️  ملفات متروكة: ${skipped.length}`);
+    console.log(`   💾 المساحة المحفوظة: ${formatKB(savedSize)} KB`);
+    console.log(`   📒 السجل: ${this.journalPath}`);
+    console.log(`   ↩️  للاسترجاع: node cleanup-unused.js restore ${path.relative(process.cwd(), this.exportDir) || '.'}`);
+    console.log('✅ تم التنظيف بنجاح!');
+
+    return { removed: entry.files.map(f => f.path), skipped, savedSize };
+  }
+
+  // سبب ترك الملف، أو null إذا كان حذفه آمناً
+  async checkCandidate(fileInfo, references = new Map()) {
+    const filePath = path.resolve(this.exportDir, fileInfo.path);
+    if (!filePath.startsWith(this.exportDir + path.sep)) return 'خارج مجلد التصدير';
+
+    const name = path.basename(filePath);
+    if (/\.html?$/i.test(name)) return 'صفحة HTML';
+    if (PROTECTED_FILES.has(name) && path.dirname(filePath) === this.exportDir) return 'ملف بيانات التصدير';
+
+    const referencedBy = references.get(toPosix(path.relative(this.exportDir, filePath)));
+    if (referencedBy) return `مستخدم في ${referencedBy}`;
+
+    if (!await fs.pathExists(filePath)) return 'غير موجود';
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile()) return 'ليس ملفاً';
+    // التقرير أقدم من الملف: لا نحذف ما تغيّر بعد الفحص
+    if (typeof fileInfo.size === 'number' && stat.size !== fileInfo.size) return 'تغيّر بعد الفحص';
+    return null;
+  }
+
+  /**
+   * كل ملفات التصدير التي تشير إليها صفحة HTML، مباشرةً أو عبر ملفات CSS/JS
+   * المحلية (ومنها خرائط sourceMappingURL): المسار → أول ملف أشار إليه.
+   */
+  async collectReferences() {
+    const files = await this.listFiles();
+    const references = new Map();
+    const queue = [];
+
+    const add = (ref, fromFile) => {
+      const target = resolveReference(ref, fromFile);
+      if (!target || !files.has(target) || references.has(target)) return;
+      references.set(target, fromFile);
+      if (/\.(css|m?js)$/i.test(target)) queue.push(target);
+    };
+    // مسارات نصوص JS تُحل نسبةً للملف الذي وردت فيه ولجذر الموقع معاً
+    const addScriptRefs = (js, fromFile) => jsReferences(js).forEach(ref => {
+      add(ref, fromFile);
+      if (!/^[./]/.test(ref)) add(`/${ref}`, fromFile);
+    });
+
+    for (const page of [...files].filter(f => /\.html?$/i.test(f))) {
+      const html = await fs.readFile(path.join(this.exportDir, page), 'utf-8');
+      const { document } = new JSDOM(html).window;
+      for (const el of document.querySelectorAll('*')) {
+        for (const attr of el.attributes) {
+          if (/srcset$/i.test(attr.name)) srcsetUrls(attr.value).forEach(ref => add(ref, page));
+          else if (attr.name === 'style') cssReferences(attr.value).forEach(ref => add(ref, page));
+          else add(attr.value, page);
+        }
+      }
+      document.querySelectorAll('style').forEach(style => cssReferences(style.textContent).forEach(ref => add(ref, page)));
+      document.querySelectorAll('script:not([src])').forEach(script => addScriptRefs(script.textContent, page));
+    }
+
+    while (queue.length) {
+      const file = queue.shift();
+      const content = await fs.readFile(path.join(this.exportDir, file), 'utf-8');
+      if (/\.css$/i.test(file)) {
+        cssReferences(content).forEach(ref => add(ref, file));
+      } else {
+        addScriptRefs(content, file);
       }
+    }
 
-      // إنشاء مجلد النسخ الاحتياطي
-      await fs.ensureDir(this.backupDir);
-      console.log(`📁 تم إنشاء مجلد النسخ الاحتياطي: ${this.backupDir}`);
-
-      let deletedCount = 0;
-      let savedSize = 0;
-
-      // معالجة كل ملف غير مستخدم
-      for (const fileInfo of unusedFiles) {
-        const filePath = path.join(this.exportDir, fileInfo.path);
-        
-        if (await fs.pathExists(filePath)) {
-          // إنشاء نسخة احتياطية
-          const backupPath = path.join(this.backupDir, fileInfo.path);
-          await fs.ensureDir(path.dirname(backupPath));
-          await fs.copy(filePath, backupPath);
-          
-          // حذف الملف الأصلي
-          await fs.remove(filePath);
-          
-          deletedCount++;
-          savedSize += fileInfo.size;
-          
-          console.log(`🗑️  حُذف: ${fileInfo.path} (${fileInfo.sizeKB} KB)`);
+    return references;
+  }
+
+  // كل ملفات مجلد التصدير كمسارات نسبية بصيغة POSIX
+  async listFiles() {
+    const files = new Set();
+    const walk = async rel => {
+      for (const item of await fs.readdir(path.join(this.exportDir, rel))) {
+        const relPath = path.posix.join(rel, item);
+        const stat = await fs.stat(path.join(this.exportDir, relPath));
+        if (stat.isDirectory()) await walk(relPath);
+        else files.add(relPath);
+      }
+    };
+    await walk('');
+    return files;
+  }
+
+  /**
+   * استرجاع آخر عملية تنظيف (أو كلها مع all) بترتيب عكسي.
+   * لا يُستبدل ملف موجود تغيّر محتواه منذ الحذف.
+   */
+  async restore({ all = false } = {}) {
+    const journal = await this.readJournal();
+    if (journal.entries.length === 0) {
+      console.log(`✅ لا توجد عمليات تنظيف مسجلة في ${this.journalPath}`);
+      return { restored: [], conflicts: [] };
+    }
+
+    const entries = all ? journal.entries.slice().reverse() : [journal.entries[journal.entries.length - 1]];
+    const restored = [];
+    const conflicts = [];
+
+    for (const entry of entries) {
+      console.log(`${this.dryRun ? '🧪' : '↩️'}  استرجاع عملية التنظيف: ${entry.id}`);
+      const entryConflicts = [];
+
+      for (const dir of entry.removed_dirs.slice().reverse()) {
+        if (!this.dryRun) await fs.ensureDir(path.join(this.exportDir, dir));
+      }
+
+      for (const file of entry.files.slice().reverse()) {
+        const target = path.join(this.exportDir, file.path);
+        const objectPath = path.join(this.objectsDir, file.sha256);
+
+        if (await fs.pathExists(target)) {
+          if (sha256(await fs.readFile(target)) === file.sha256) continue; // موجود أصلاً
+          entryConflicts.push({ path: file.path, reason: 'الملف موجود بمحتوى مختلف' });
+          continue;
         }
+        if (!await fs.pathExists(objectPath) || sha256(await fs.readFile(objectPath)) !== file.sha256) {
+          entryConflicts.push({ path: file.path, reason: 'النسخة المحفوظة مفقودة أو تالفة' });
+          continue;
+        }
+
+        if (!this.dryRun) await fs.copy(objectPath, target);
+        restored.push(file.path);
+        console.log(`   ${this.dryRun ? 'سيُسترجع' : 'استُرجع'}: ${file.path}`);
       }
 
-      // تنظيف المجلدات الفارغة
-      await this.cleanupEmptyDirectories(this.exportDir);
+      entryConflicts.forEach(c => console.log(`   ⚠️ لم يُسترجع: ${c.path} (${c.reason})`));
+      conflicts.push(...entryConflicts);
 
-      console.log('\n📊 ملخص التنظيف:');
-      console.log(`   🗑️  الملفات المحذوفة: ${deletedCount}`);
-      console.log(`   💾 المساحة المحفوظة: ${Math.round(savedSize / 1024)} KB`);
-      console.log(`   📁 النسخ الاحتياطي: ${this.backupDir}`);
-      console.log('✅ تم التنظيف بنجاح!');
+      // تبقى العملية في السجل إذا فشل استرجاع أي ملف منها
+      if (!this.dryRun && entryConflicts.length === 0) {
+        journal.entries.splice(journal.entries.indexOf(entry), 1);
+      }
+    }
 
-    } catch (error) {
-      console.error('❌ فشل في التنظيف:', error.message);
-      throw error;
+    if (!this.dryRun) {
+      await this.writeJournal(journal);
+      await this.pruneObjects(journal);
     }
+
+    console.log(`\n📊 ${this.dryRun ? 'سيُسترجع' : 'استُرجع'} ${restored.length} ملف${conflicts.length ? `، ${conflicts.length} تعارض` : ''}`);
+    return { restored, conflicts };
+  }
+
+  async readJournal() {
+    if (!await fs.pathExists(this.journalPath)) {
+      return { version: JOURNAL_VERSION, entries: [] };
+    }
+    const journal = await fs.readJson(this.journalPath);
+    if (journal.version !== JOURNAL_VERSION) {
+      throw new Error(`إصدار السجل غير مدعوم: ${journal.version}`);
+    }
+    return journal;
   }
 
-  async cleanupEmptyDirectories(dir) {
+  async writeJournal(journal) {
+    await fs.ensureDir(this.journalDir);
+    const tmp = `${this.journalPath}.tmp`;
+    await fs.writeJson(tmp, journal, { spaces: 2 });
+    await fs.move(tmp, this.journalPath, { overwrite: true });
+  }
+
+  // حذف المحتوى المحفوظ الذي لم تعد أي عملية تشير إليه
+  async pruneObjects(journal) {
+    const referenced = new Set(journal.entries.flatMap(e => e.files.map(f => f.sha256)));
+    const objects = await fs.readdir(this.objectsDir).catch(() => []);
+    for (const name of objects) {
+      if (!referenced.has(name)) await fs.remove(path.join(this.objectsDir, name));
+    }
+    if (journal.entries.length === 0) await fs.remove(this.journalDir);
+  }
+
+  async cleanupEmptyDirectories(dir, removedDirs = []) {
     try {
       const items = await fs.readdir(dir);
-      
+
       for (const item of items) {
         const itemPath = path.join(dir, item);
         const stat = await fs.stat(itemPath);
-        
+
         if (stat.isDirectory()) {
-          await this.cleanupEmptyDirectories(itemPath);
-          
+          await this.cleanupEmptyDirectories(itemPath, removedDirs);
+
           // التحقق من المجلد فارغ أم لا
           const remainingItems = await fs.readdir(itemPath);
           if (remainingItems.length === 0) {
             await fs.remove(itemPath);
+            removedDirs.push(toPosix(path.relative(this.exportDir, itemPath)));
             console.log(`📁 حُذف مجلد فارغ: ${path.relative(this.exportDir, itemPath)}`);
           }
         }
@@ -95,23 +324,92 @@ class UnusedFilesCleanup {
   }
 }
 
+// مسار المرجع داخل التصدير نسبةً إلى الملف الذي ورد فيه، أو null للروابط
+// الخارجية وdata: والمراسي وما يخرج من مجلد التصدير
+function resolveReference(ref, fromFile) {
+  let value = ref.trim().split(/[?#]/)[0];
+  if (!value || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) return null;
+  try {
+    value = decodeURIComponent(value);
+  } catch {
+    // يبقى كما هو
+  }
+  const target = value.startsWith('/')
+    ? path.posix.normalize(value.slice(1))
+    : path.posix.join(path.posix.dirname(fromFile), value);
+  return target === '..' || target.startsWith('../') ? null : target;
+}
+
+function srcsetUrls(srcset) {
+  return srcset.split(',').map(part => part.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+function cssReferences(css) {
+  const refs = [];
+  for (const match of css.matchAll(/url\(\s*['"]?([^'")]+?)['"]?\s*\)/g)) refs.push(match[1]);
+  for (const match of css.matchAll(/@import\s+['"]([^'"]+)['"]/g)) refs.push(match[1]);
+  for (const match of css.matchAll(SOURCE_MAP_PATTERN)) refs.push(match[1]);
+  return refs;
+}
+
+function jsReferences(js) {
+  const refs = [];
+  for (const match of js.matchAll(JS_ASSET_PATTERN)) refs.push(match[1]);
+  for (const match of js.matchAll(SOURCE_MAP_PATTERN)) refs.push(match[1]);
+  return refs;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+function formatKB(bytes) {
+  return Math.round(bytes / 1024);
+}
+
 // واجهة سطر الأوامر
 async function main() {
-  const auditReportPath = process.argv[2] || './audit/audit-report.json';
-  const exportDir = process.argv[3] || './dist';
-  
+  const argv = process.argv.slice(2);
+  const positional = positionalArgs(argv, ['--dry-run', '--all']);
+  const dryRun = argv.includes('--dry-run');
+  const journalIndex = argv.indexOf('--journal');
+  const journalDir = journalIndex > -1 ? argv[journalIndex + 1] : undefined;
+
+  // استرجاع: node cleanup-unused.js restore [export-dir] [--all]
+  if (positional[0] === 'restore') {
+    const config = loadConfig({ configPath: configPathFromArgs(argv), overrides: { export_dir: positional[1] } });
+    const cleanup = new UnusedFilesCleanup(null, config.export_dir, { journalDir, dryRun });
+    const { conflicts } = await cleanup.restore({ all: argv.includes('--all') });
+    if (conflicts.length) process.exitCode = 1;
+    return;
+  }
+
+  const [reportArg, dirArg] = positional;
+  // مجلد التصدير من ملف الإعدادات المشترك ما لم يُحدَّد في سطر الأوامر
+  const config = loadConfig({ configPath: configPathFromArgs(argv), overrides: { export_dir: dirArg } });
+  const auditReportPath = reportArg || './audit/audit-report.json';
+  const exportDir = config.export_dir;
+
   if (!await fs.pathExists(auditReportPath)) {
     console.error('❌ تقرير الفحص غير موجود:', auditReportPath);
-    console.log('الاستخدام: node cleanup-unused.js [audit-report.json] [export-dir]');
+    console.log('الاستخدام: node cleanup-unused.js [audit-report.json] [export-dir] [--dry-run] [--journal DIR] [--config export.config.json]');
+    console.log('      أو: node cleanup-unused.js restore [export-dir] [--all] [--dry-run] [--journal DIR]');
     process.exit(1);
   }
 
-  const cleanup = new UnusedFilesCleanup(auditReportPath, exportDir);
+  const cleanup = new UnusedFilesCleanup(auditReportPath, exportDir, { journalDir, dryRun });
   await cleanup.cleanup();
 }
 
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error('❌ فشل في التنظيف:', error.message);
+    process.exit(1);
+  });
 }
 
-export default UnusedFilesCleanup;
\ No newline at end of file
+export default UnusedFilesCleanup;
@@ -0,0 +1,131 @@
+/**
+ * Cleanup on a multi-page export (a --crawl subpage and a local frame page):
+ * the auditor only loads the main page, so its unused list names assets the
+ * other pages need. Cleanup must keep them and remove only what no page uses.
+ *
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import UnusedFilesCleanup from './cleanup-unused.js';
+
+const EXPORT_FILES = {
+  'index.html': `<!DOCTYPE html><html><head>
+  <link rel="stylesheet" href="assets/css/main.css">
+  <script src="assets/js/app.js"></script>
+</head><body>
+  <img src="assets/img/hero.jpg">
+  <a href="about/index.html">About</a>
+  <iframe src="frames/map.html"></iframe>
+</body></html>`,
+  'about/index.html': `<!DOCTYPE html><html><head>
+  <link rel="stylesheet" href="../assets/css/about.css">
+  <style>.quote { background: url("../assets/img/quote.svg"); }</style>
+</head><body>
+  <div class="band" style="background-image: url('/assets/img/band.webp')"></div>
+  <picture>
+    <source srcset="../assets/img/team.webp 1x, ../assets/img/team%402x.webp 2x" type="image/webp">
+    <img src="../assets/img/team.jpg" alt="Team">
+  </picture>
+  <script>window.teamIcon = 'assets/img/icon.png';</script>
+</body></html>`,
+  'frames/map.html': '<!DOCTYPE html><html><body><script src="../assets/js/map.js"></script></body></html>',
+  'assets/css/main.css': 'body { color: #333; }',
+  'assets/css/about.css': '@import "fonts.css";\n.hero { background: url(../img/about-bg.jpg?ver=2); }\n/*# sourceMappingURL=about.css.map */',
+  'assets/css/about.css.map': '{"version":3,"sources":[],"mappings":""}',
+  'assets/css/fonts.css': '@font-face { font-family: x; src: url("../fonts/x.woff2") format("woff2"); }',
+  'assets/fonts/x.woff2': 'wOF2',
+  'assets/js/app.js': 'console.log("app");\n//# sourceMappingURL=app.js.map',
+  'assets/js/app.js.map': '{"version":3,"sources":[],"mappings":""}',
+  'assets/js/map.js': 'const marker = "assets/img/marker.png";',
+  'assets/img/hero.jpg': 'jpg',
+  'assets/img/about-bg.jpg': 'jpg',
+  'assets/img/quote.svg': '<svg/>',
+  'assets/img/band.webp': 'webp',
+  'assets/img/team.webp': 'webp',
+  'assets/img/team@2x.webp': 'webp',
+  'assets/img/team.jpg': 'jpg',
+  'assets/img/icon.png': 'png',
+  'assets/img/marker.png': 'png',
+  'assets/img/old-slider.png': 'png',
+  'assets/js/old-plugin.js': 'var unused = "assets/img/old-slider.png";',
+  'manifest.json': JSON.stringify({
+    pages: [
+      { url: 'https://example.com/', file: 'index.html', depth: 0 },
+      { url: 'https://example.com/about/', file: 'about/index.html', depth: 1 },
+      { url: 'https://maps.example.com/embed', file: 'frames/map.html', depth: 1, frameOf: 'https://example.com/' }
+    ]
+  })
+};
+
+// Used only by index.html, as the auditor saw it
+const USED_BY_MAIN_PAGE = ['index.html', 'assets/css/main.css', 'assets/js/app.js', 'assets/img/hero.jpg', 'manifest.json'];
+const UNUSED = ['assets/img/old-slider.png', 'assets/js/old-plugin.js'];
+
+let tmpDir;
+let exportDir;
+let reportPath;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-unused-'));
+  exportDir = path.join(tmpDir, 'site');
+  for (const [file, content] of Object.entries(EXPORT_FILES)) {
+    await fs.outputFile(path.join(exportDir, file), content);
+  }
+  const unusedFiles = Object.keys(EXPORT_FILES)
+    .filter(file => !USED_BY_MAIN_PAGE.includes(file))
+    .map(file => ({ path: file, size: Buffer.byteLength(EXPORT_FILES[file]) }));
+  reportPath = path.join(tmpDir, 'audit-report.json');
+  await fs.writeJson(reportPath, { unused_files: unusedFiles });
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+test('subpages and frame pages keep their assets, source maps included', async () => {
+  const result = await new UnusedFilesCleanup(reportPath, exportDir).cleanup();
+
+  assert.deepEqual(result.removed.sort(), UNUSED);
+  for (const file of Object.keys(EXPORT_FILES).filter(f => !UNUSED.includes(f))) {
+    assert.ok(await fs.pathExists(path.join(exportDir, file)), `${file} was deleted`);
+  }
+  for (const file of UNUSED) {
+    assert.equal(await fs.pathExists(path.join(exportDir, file)), false, `${file} was kept`);
+  }
+
+  const reasons = Object.fromEntries(result.skipped.map(s => [s.path, s.reason]));
+  assert.match(reasons['assets/img/team@2x.webp'], /about\/index\.html/);
+  assert.match(reasons['assets/fonts/x.woff2'], /assets\/css\/fonts\.css/);
+  assert.match(reasons['assets/img/marker.png'], /assets\/js\/map\.js/);
+});
+
+test('dry run reports the same plan without deleting', async () => {
+  const result = await new UnusedFilesCleanup(reportPath, exportDir, { dryRun: true }).cleanup();
+  assert.deepEqual(result.removed.sort(), UNUSED);
+  for (const file of UNUSED) {
+    assert.ok(await fs.pathExists(path.join(exportDir, file)));
+  }
+});
+
+test('restore brings back what cleanup removed', async () => {
+  await new UnusedFilesCleanup(reportPath, exportDir).cleanup();
+  const { restored, conflicts } = await new UnusedFilesCleanup(null, exportDir).restore();
+  assert.deepEqual(restored.sort(), UNUSED);
+  assert.deepEqual(conflicts, []);
+  for (const file of UNUSED) {
+    assert.equal(await fs.readFile(path.join(exportDir, file), 'utf-8'), EXPORT_FILES[file]);
+  }
+});
@@ -0,0 +1,243 @@
+/**
+ * Coverage-based pruning for --mode aggressive.
+ *
+ * Playwright's JS and CSS coverage is recorded in every breakpoint and
+ * interaction pass of the exporter. A script that never ran in any pass is
+ * dropped, and so is a CSS style rule that never matched, unless its selector
+ * is safelisted (state classes toggled at runtime, :hover and similar).
+ *
+ * CSS is pruned rule by rule rather than by byte offset. Stylesheets are
+ * rewritten after download (url() localization), so the rules of the saved
+ * file are matched to the rules of the text the browser parsed by position
+ * and selector.
+ */
+
+// Blocks whose children are style rules; anything else (@font-face,
+// @keyframes, @page...) is kept as a whole
+const GROUP_AT_RULES = new Set(['media', 'supports', 'layer', 'container', 'document', '-moz-document', 'scope']);
+
+// Pseudo-classes and pseudo-elements that coverage cannot observe
+const STATE_SELECTOR_RE = /:(?:hover|focus|focus-within|focus-visible|active|visited|checked|target|disabled|enabled|invalid|valid|indeterminate|default|required|optional|read-only|read-write|placeholder-shown|autofill|fullscreen|modal|popover-open|open)\b|::?(?:selection|placeholder|backdrop|marker|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)/i;
+
+export function createCoverageCollector() {
+  return {
+    passes: 0,
+    scripts: new Map(), // script URL -> executed in any pass
+    styles: new Map()   // stylesheet URL -> { text, ranges, unstable }
+  };
+}
+
+export async function startCoverage(page) {
+  await Promise.all([
+    page.coverage.startJSCoverage({ resetOnNavigation: false }),
+    page.coverage.startCSSCoverage({ resetOnNavigation: false })
+  ]);
+}
+
+/**
+ * Stop coverage on page and merge it into the collector.
+ */
+export async function collectCoverage(page, collector) {
+  const [jsEntries, cssEntries] = await Promise.all([
+    page.coverage.stopJSCoverage(),
+    page.coverage.stopCSSCoverage()
+  ]);
+  collector.passes++;
+
+  for (const entry of jsEntries) {
+    if (!/^https?:/i.test(entry.url)) continue;
+    const executed = entry.functions.some(fn => fn.ranges.some(range => range.count > 0));
+    collector.scripts.set(entry.url, collector.scripts.get(entry.url) || executed);
+  }
+
+  for (const entry of cssEntries) {
+    if (!/^https?:/i.test(entry.url)) continue;
+    const known = collector.styles.get(entry.url);
+    if (!known) {
+      collector.styles.set(entry.url, { text: entry.text, ranges: [...entry.ranges], unstable: false });
+    } else if (known.text !== entry.text) {
+      // The server returned different CSS between passes: offsets do not line up
+      known.unstable = true;
+    } else {
+      known.ranges.push(...entry.ranges);
+    }
+  }
+}
+
+export function wasExecuted(collector, scriptUrl) {
+  return collector.scripts.get(scriptUrl) === true;
+}
+
+// ---- CSS scanning ----
+
+// Index of the next unquoted, uncommented char in chars, or -1
+function scanTo(text, from, chars, to = text.length) {
+  let i = from;
+  let depth = 0; // parentheses, so url(a;b) or :is(a{) never end a prelude
+  while (i < to) {
+    const c = text[i];
+    if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? to : end + 2;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      i++;
+      while (i < to && text[i] !== c) i += text[i] === '\\' ? 2 : 1;
+      i++;
+      continue;
+    }
+    if (c === '(') depth++;
+    else if (c === ')') depth = Math.max(0, depth - 1);
+    else if (depth === 0 && chars.includes(c)) return i;
+    i++;
+  }
+  return -1;
+}
+
+// Index just past the "}" that closes the block opened at text[open]
+function blockEnd(text, open) {
+  let depth = 0;
+  let i = open;
+  while (i < text.length) {
+    const next = scanTo(text, i, '{}');
+    if (next === -1) return text.length;
+    depth += text[next] === '{' ? 1 : -1;
+    i = next + 1;
+    if (depth === 0) return i;
+  }
+  return text.length;
+}
+
+/**
+ * Split CSS into a tree of { type: 'rule' | 'group' | 'at', start, end,
+ * prelude, children }.
+ */
+export function parseCssRules(text, from = 0, to = text.length) {
+  const nodes = [];
+  let i = from;
+
+  while (i < to) {
+    while (i < to && /\s/.test(text[i])) i++;
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? to : end + 2;
+      continue;
+    }
+    if (i >= to) break;
+
+    const stop = scanTo(text, i, text[i] === '@' ? '{;' : '{}', to);
+    if (stop === -1 || text[stop] === '}') break; // stray text: keep as is
+
+    const prelude = text.slice(i, stop).trim();
+    if (text[stop] === ';') {
+      nodes.push({ type: 'at', start: i, end: stop + 1, prelude });
+      i = stop + 1;
+      continue;
+    }
+
+    const end = Math.min(blockEnd(text, stop), to);
+    if (prelude.startsWith('@')) {
+      const name = prelude.slice(1).split(/[\s({]/)[0].toLowerCase();
+      nodes.push(GROUP_AT_RULES.has(name)
+        ? { type: 'group', start: i, end, prelude, children: parseCssRules(text, stop + 1, end - 1) }
+        : { type: 'at', start: i, end, prelude });
+    } else {
+      nodes.push({ type: 'rule', start: i, end, prelude });
+    }
+    i = end;
+  }
+  return nodes;
+}
+
+function flattenRules(nodes, out = []) {
+  for (const node of nodes) {
+    if (node.type === 'rule') out.push(node);
+    else if (node.type === 'group') flattenRules(node.children, out);
+  }
+  return out;
+}
+
+const normalizeSelector = s => s.replace(/\s+/g, ' ').trim();
+
+/**
+ * Compile safelist entries: "x-active" matches the class .x-active,
+ * "/pattern/" is a regular expression tested against the selector.
+ */
+export function compileSafelist(entries) {
+  return entries.map(entry => {
+    const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) return new RegExp(regex[1], regex[2]);
+    const escaped = entry.replace(/^\./, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\.${escaped}(?![\\w-])`);
+  });
+}
+
+function isSafelisted(selector, safelist) {
+  return STATE_SELECTOR_RE.test(selector) || safelist.some(re => re.test(selector));
+}
+
+/**
+ * Decide which style rules of a stylesheet to drop.
+ *
+ * coverageText/ranges: what the browser parsed and used. savedText: the file
+ * on disk. Returns { css, removed, kept, error }; css is null when the saved
+ * file cannot be matched to the coverage data.
+ */
+export function pruneStylesheet(savedText, coverageText, ranges, safelist) {
+  const coverageRules = flattenRules(parseCssRules(coverageText));
+  const savedTree = parseCssRules(savedText);
+  const savedRules = flattenRules(savedTree);
+
+  if (coverageRules.length !== savedRules.length ||
+      coverageRules.some((rule, i) => normalizeSelector(rule.prelude) !== normalizeSelector(savedRules[i].prelude))) {
+    return { css: null, removed: [], kept: { safelisted: 0 }, error: 'saved stylesheet does not match the coverage data' };
+  }
+
+  const used = rule => ranges.some(r => r.start < rule.end && r.end > rule.start);
+  const removed = [];
+  const drop = new Set();
+  let safelisted = 0;
+
+  coverageRules.forEach((rule, i) => {
+    if (used(rule)) return;
+    const selector = normalizeSelector(rule.prelude);
+    if (isSafelisted(selector, safelist)) {
+      safelisted++;
+      return;
+    }
+    drop.add(savedRules[i]);
+    removed.push(selector);
+  });
+
+  // Spans to cut: dropped rules, and groups left with nothing but dropped rules
+  const spans = [];
+  const collect = nodes => {
+    let empty = true;
+    for (const node of nodes) {
+      if (node.type === 'rule') {
+        if (drop.has(node)) spans.push(node);
+        else empty = false;
+      } else if (node.type === 'group') {
+        const before = spans.length;
+        if (collect(node.children)) {
+          spans.length = before;
+          spans.push(node);
+        } else {
+          empty = false;
+        }
+      } else {
+        empty = false;
+      }
+    }
+    return empty && nodes.length > 0;
+  };
+  collect(savedTree);
+
+  let css = savedText;
+  spans.sort((a, b) => b.start - a.start).forEach(span => {
+    css = css.slice(0, span.start) + css.slice(span.end);
+  });
+
+  return { css, removed, kept: { safelisted }, error: null };
+}
@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+
+/**
+ * Export Diff
+ * Compares two export directories (e.g. last week's dist and today's): added,
+ * removed, changed and renamed assets with size deltas, a normalized DOM diff
+ * of the entry HTML and rewrite-map differences. Writes export-diff.json and
+ * export-diff.html.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { JSDOM } from 'jsdom';
+import { loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+
+// Exporter metadata, compared separately rather than as assets
+const METADATA_FILES = new Set(['manifest.json', 'export-report.json', 'prune-report.json', 'strip-report.json']);
+
+const MAX_EDITS = 2000;     // DOM diff gives up (whole block replaced) beyond this many changed lines
+const CONTEXT_LINES = 2;
+const MAX_INLINE_TEXT = 200; // longer script/style/text content is shown as length + hash
+
+class ExportDiff {
+  constructor(oldDir, newDir, options = {}) {
+    this.oldDir = path.resolve(oldDir);
+    this.newDir = path.resolve(newDir);
+    this.entryHtml = options.entryHtml || 'index.html';
+    this.outDir = path.resolve(options.outDir || './export-diff');
+  }
+
+  async run() {
+    console.log(`🔀 Comparing exports:\n   old: ${this.oldDir}\n   new: ${this.newDir}`);
+    for (const dir of [this.oldDir, this.newDir]) {
+      if (!await fs.pathExists(dir)) throw new Error(`Export directory not found: ${dir}`);
+    }
+
+    const [oldInventory, newInventory] = await Promise.all([this.inventory(this.oldDir), this.inventory(this.newDir)]);
+    const assets = this.diffAssets(oldInventory, newInventory);
+
+    const [oldMeta, newMeta] = await Promise.all([this.loadMetadata(this.oldDir), this.loadMetadata(this.newDir)]);
+    const rewriteMap = this.diffRewriteMaps(oldMeta.rewriteMap, newMeta.rewriteMap);
+    const dom = await this.diffEntryHtml();
+
+    const result = {
+      compared_at: new Date().toISOString(),
+      old: { dir: this.oldDir, ...oldMeta.info },
+      new: { dir: this.newDir, ...newMeta.info },
+      summary: {
+        identical: assets.added.length + assets.removed.length + assets.changed.length + assets.renamed.length === 0 &&
+          dom.changed === false && (rewriteMap.available === false || rewriteMap.total === 0),
+        assets_added: assets.added.length,
+        assets_removed: assets.removed.length,
+        assets_changed: assets.changed.length,
+        assets_renamed: assets.renamed.length,
+        assets_unchanged: assets.unchanged,
+        total_size_old: assets.totalOld,
+        total_size_new: assets.totalNew,
+        size_delta: assets.totalNew - assets.totalOld,
+        dom_lines_added: dom.added,
+        dom_lines_removed: dom.removed,
+        rewrite_map_changes: rewriteMap.available ? rewriteMap.total : null
+      },
+      assets: {
+        added: assets.added,
+        removed: assets.removed,
+        changed: assets.changed,
+        renamed: assets.renamed
+      },
+      dom,
+      rewrite_map: rewriteMap
+    };
+
+    await fs.ensureDir(this.outDir);
+    await fs.writeJson(path.join(this.outDir, 'export-diff.json'), result, { spaces: 2 });
+    await fs.writeFile(path.join(this.outDir, 'export-diff.html'), this.generateHTMLReport(result));
+
+    this.printSummary(result);
+    console.log(`📄 Reports: ${path.join(this.outDir, 'export-diff.json')}, ${path.join(this.outDir, 'export-diff.html')}`);
+    return result;
+  }
+
+  // relative path -> { size, hash }
+  async inventory(dir) {
+    const files = new Map();
+    const walk = async rel => {
+      for (const item of await fs.readdir(path.join(dir, rel))) {
+        const relPath = path.posix.join(rel, item);
+        const fullPath = path.join(dir, relPath);
+        const stat = await fs.stat(fullPath);
+        if (stat.isDirectory()) {
+          await walk(relPath);
+        } else if (!(rel === '' && METADATA_FILES.has(item))) {
+          const hash = crypto.createHash('sha1').update(await fs.readFile(fullPath)).digest('hex');
+          files.set(relPath, { size: stat.size, hash });
+        }
+      }
+    };
+    await walk('');
+    return files;
+  }
+
+  diffAssets(oldFiles, newFiles) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [file, info] of newFiles) {
+      const before = oldFiles.get(file);
+      if (!before) added.push({ path: file, size: info.size, hash: info.hash });
+      else if (before.hash !== info.hash) {
+        changed.push({ path: file, old_size: before.size, new_size: info.size, delta: info.size - before.size });
+      } else unchanged++;
+    }
+    for (const [file, info] of oldFiles) {
+      if (!newFiles.has(file)) removed.push({ path: file, size: info.size, hash: info.hash });
+    }
+
+    // Same content under a new name (hashed bundle names, query-hash variants)
+    const renamed = [];
+    const removedByHash = new Map();
+    removed.forEach(r => { if (!removedByHash.has(r.hash)) removedByHash.set(r.hash, r); });
+    for (let i = added.length - 1; i >= 0; i--) {
+      const match = removedByHash.get(added[i].hash);
+      if (!match) continue;
+      removedByHash.delete(added[i].hash);
+      renamed.unshift({ from: match.path, to: added[i].path, size: added[i].size });
+      removed.splice(removed.indexOf(match), 1);
+      added.splice(i, 1);
+    }
+
+    const total = files => Array.from(files.values()).reduce((sum, f) => sum + f.size, 0);
+    const strip = list => list.map(({ hash, ...rest }) => rest);
+    const bySize = (a, b) => Math.abs(b.delta ?? b.size) - Math.abs(a.delta ?? a.size);
+
+    return {
+      added: strip(added).sort(bySize),
+      removed: strip(removed).sort(bySize),
+      changed: changed.sort(bySize),
+      renamed,
+      unchanged,
+      totalOld: total(oldFiles),
+      totalNew: total(newFiles)
+    };
+  }
+
+  async loadMetadata(dir) {
+    const readJson = async file => {
+      try {
+        return await fs.readJson(path.join(dir, file));
+      } catch {
+        return null;
+      }
+    };
+    const manifest = await readJson('manifest.json');
+    const report = await readJson('export-report.json');
+
+    return {
+      info: {
+        source_url: manifest?.sourceUrl || report?.sourceUrl || null,
+        mode: manifest?.mode || report?.mode || null,
+        export_date: manifest?.exportDate || report?.timestamp || null,
+        total_assets: manifest?.totalAssets ?? null
+      },
+      // Exports made before the report recorded it have no rewrite map
+      rewriteMap: report?.rewriteMap || null
+    };
+  }
+
+  diffRewriteMaps(oldMap, newMap) {
+    if (!oldMap || !newMap) {
+      return {
+        available: false,
+        note: `rewriteMap missing from export-report.json of the ${!oldMap ? 'old' : 'new'} export (re-export with the current exporter)`
+      };
+    }
+
+    const kind = mapped => mapped.startsWith('data:') ? 'inline' : /^(https?:)?\/\//i.test(mapped) ? 'remote' : 'local';
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [original, mapped] of Object.entries(newMap)) {
+      if (!(original in oldMap)) {
+        added.push({ url: original, mapped, kind: kind(mapped) });
+      } else if (oldMap[original] !== mapped) {
+        changed.push({
+          url: original,
+          old: oldMap[original],
+          new: mapped,
+          // e.g. local -> remote: the download failed this time
+          change: `${kind(oldMap[original])} -> ${kind(mapped)}`
+        });
+      }
+    }
+    for (const [original, mapped] of Object.entries(oldMap)) {
+      if (!(original in newMap)) removed.push({ url: original, mapped, kind: kind(mapped) });
+    }
+
+    return { available: true, total: added.length + removed.length + changed.length, added, removed, changed };
+  }
+
+  async diffEntryHtml() {
+    const read = async dir => {
+      const file = path.join(dir, this.entryHtml);
+      return await fs.pathExists(file) ? fs.readFile(file, 'utf-8') : null;
+    };
+    const [oldHtml, newHtml] = await Promise.all([read(this.oldDir), read(this.newDir)]);
+    if (oldHtml === null || newHtml === null) {
+      return {
+        entry: this.entryHtml,
+        changed: oldHtml !== newHtml,
+        added: 0,
+        removed: 0,
+        note: `${this.entryHtml} is missing from the ${oldHtml === null ? 'old' : 'new'} export`,
+        hunks: []
+      };
+    }
+
+    const oldLines = normalizeDom(oldHtml);
+    const newLines = normalizeDom(newHtml);
+    const { ops, complete } = diffLines(oldLines.map(l => l.text), newLines.map(l => l.text));
+    const hunks = buildHunks(ops, oldLines, newLines);
+
+    return {
+      entry: this.entryHtml,
+      changed: hunks.length > 0,
+      added: ops.filter(op => op.type === 'add').length,
+      removed: ops.filter(op => op.type === 'remove').length,
+      note: complete ? null : `More than ${MAX_EDITS} lines differ; the changed region is shown as one replacement`,
+      hunks
+    };
+  }
+
+  printSummary(result) {
+    const s = result.summary;
+    if (s.identical) {
+      console.log('✅ Exports are identical');
+      return;
+    }
+    console.log(`📦 Assets: +${s.assets_added} added, -${s.assets_removed} removed, ~${s.assets_changed} changed, ${s.assets_renamed} renamed, ${s.assets_unchanged} unchanged`);
+    console.log(`📏 Size: ${formatBytes(s.total_size_old)} → ${formatBytes(s.total_size_new)} (${formatDelta(s.size_delta)})`);
+    console.log(`🧱 DOM (${result.dom.entry}): +${s.dom_lines_added} / -${s.dom_lines_removed} lines in ${result.dom.hunks.length} hunks`);
+    console.log(s.rewrite_map_changes === null
+      ? `🔗 Rewrite map: ${result.rewrite_map.note}`
+      : `🔗 Rewrite map: ${s.rewrite_map_changes} changes`);
+  }
+
+  generateHTMLReport(result) {
+    const s = result.summary;
+    const rows = (items, cells) => items.length
+      ? items.map(item => `<tr>${cells(item).map(c => `<td>${c}</td>`).join('')}</tr>`).join('\n')
+      : '<tr><td colspan="4" class="muted">None</td></tr>';
+    const rewrite = result.rewrite_map;
+
+    return `<!DOCTYPE html>
+<html dir="ltr" lang="en">
+<head>
+    <title>Export Diff Report</title>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; }
+        .header { background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 30px; }
+        .section { margin-bottom: 30px; }
+        .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 20px; margin: 20px 0; }
+        .stat-card { background: #fff; border: 1px solid #ddd; padding: 15px; border-radius: 8px; text-align: center; }
+        .stat-number { font-size: 2em; font-weight: bold; color: #2563eb; }
+        .stat-label { color: #666; margin-top: 5px; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+        td, th { border: 1px solid #ddd; padding: 4px 8px; text-align: left; word-break: break-all; }
+        .muted { color: #888; }
+        .hunk { border: 1px solid #ddd; border-radius: 4px; margin: 10px 0; font-family: monospace; font-size: 0.85em; white-space: pre-wrap; }
+        .hunk-head { background: #eef; padding: 4px 8px; color: #446; }
+        .add { background: #efe; color: #363; }
+        .remove { background: #fee; color: #c33; }
+        .success { background: #efe; color: #363; padding: 10px; border-radius: 4px; margin: 5px 0; }
+        .warning { background: #ffd; color: #860; padding: 10px; border-radius: 4px; margin: 5px 0; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🔀 Export Diff Report</h1>
+        <p><strong>Old:</strong> ${escapeHtml(result.old.dir)} ${result.old.export_date ? `(${escapeHtml(result.old.export_date)})` : ''}</p>
+        <p><strong>New:</strong> ${escapeHtml(result.new.dir)} ${result.new.export_date ? `(${escapeHtml(result.new.export_date)})` : ''}</p>
+        ${result.new.source_url ? `<p><strong>Source:</strong> ${escapeHtml(result.new.source_url)}</p>` : ''}
+    </div>
+
+    <div class="section">
+        <h2>📊 Summary</h2>
+        ${s.identical ? '<div class="success">✅ The exports are identical</div>' : ''}
+        <div class="stats">
+            <div class="stat-card"><div class="stat-number">${s.assets_added}</div><div class="stat-label">Added</div></div>
+            <div class="stat-card"><div class="stat-number">${s.assets_removed}</div><div class="stat-label">Removed</div></div>
+            <div class="stat-card"><div class="stat-number">${s.assets_changed}</div><div class="stat-label">Changed</div></div>
+            <div class="stat-card"><div class="stat-number">${s.assets_renamed}</div><div class="stat-label">Renamed</div></div>
+            <div class="stat-card"><div class="stat-number">${formatDelta(s.size_delta)}</div><div class="stat-label">Size Delta</div></div>
+        </div>
+    </div>
+
+    <div class="section">
+        <h2>📦 Assets</h2>
+        <h3>Changed</h3>
+        <table><tr><th>File</th><th>Old</th><th>New</th><th>Delta</th></tr>
+        ${rows(result.assets.changed, a => [escapeHtml(a.path), formatBytes(a.old_size), formatBytes(a.new_size), formatDelta(a.delta)])}
+        </table>
+        <h3>Added</h3>
+        <table><tr><th>File</th><th>Size</th></tr>
+        ${rows(result.assets.added, a => [escapeHtml(a.path), formatBytes(a.size)])}
+        </table>
+        <h3>Removed</h3>
+        <table><tr><th>File</th><th>Size</th></tr>
+        ${rows(result.assets.removed, a => [escapeHtml(a.path), formatBytes(a.size)])}
+        </table>
+        <h3>Renamed (same content)</h3>
+        <table><tr><th>From</th><th>To</th><th>Size</th></tr>
+        ${rows(result.assets.renamed, a => [escapeHtml(a.from), escapeHtml(a.to), formatBytes(a.size)])}
+        </table>
+    </div>
+
+    <div class="section">
+        <h2>🧱 DOM Diff (${escapeHtml(result.dom.entry)})</h2>
+        ${result.dom.note ? `<div class="warning">${escapeHtml(result.dom.note)}</div>` : ''}
+        ${result.dom.hunks.length === 0 ? '<p class="muted">No differences after normalization</p>' : ''}
+        ${result.dom.hunks.map(hunk => `<div class="hunk"><div class="hunk-head">@@ -${hunk.old_start} +${hunk.new_start} @@ ${escapeHtml(hunk.path)}</div>${hunk.lines.map(line =>
+          `<div class="${line.type === 'equal' ? '' : line.type}">${line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' '} ${escapeHtml(line.text)}</div>`).join('')}</div>`).join('\n')}
+    </div>
+
+    <div class="section">
+        <h2>🔗 Rewrite Map</h2>
+        ${!rewrite.available ? `<div class="warning">${escapeHtml(rewrite.note)}</div>` : `
+        <h3>Changed</h3>
+        <table><tr><th>URL</th><th>Old</th><th>New</th><th>Change</th></tr>
+        ${rows(rewrite.changed, r => [escapeHtml(r.url), escapeHtml(r.old), escapeHtml(r.new), escapeHtml(r.change)])}
+        </table>
+        <h3>Added</h3>
+        <table><tr><th>URL</th><th>Mapped To</th><th>Kind</th></tr>
+        ${rows(rewrite.added, r => [escapeHtml(r.url), escapeHtml(r.mapped), r.kind])}
+        </table>
+        <h3>Removed</h3>
+        <table><tr><th>URL</th><th>Mapped To</th><th>Kind</th></tr>
+        ${rows(rewrite.removed, r => [escapeHtml(r.url), escapeHtml(r.mapped), r.kind])}
+        </table>`}
+    </div>
+</body>
+</html>`;
+  }
+}
+
+// ---- DOM normalization ----
+
+/**
+ * One line per element / text node, with attributes and class names sorted
+ * and whitespace collapsed, so formatting-only changes do not show up.
+ * Returns [{ text, depth, path }]; text is what gets compared.
+ */
+export function normalizeDom(html) {
+  const { document } = new JSDOM(html).window;
+  const lines = [];
+
+  const walk = (node, depth, trail) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 1) {
+        const tag = child.tagName.toLowerCase();
+        const attrs = Array.from(child.attributes)
+          .map(attr => {
+            let value = attr.value.replace(/\s+/g, ' ').trim();
+            if (attr.name === 'class') value = value.split(' ').sort().join(' ');
+            return value ? `${attr.name}="${value}"` : attr.name;
+          })
+          .sort();
+        const label = tag + (child.id ? `#${child.id}` : '') +
+          (child.classList.length ? `.${Array.from(child.classList).slice(0, 2).join('.')}` : '');
+        const elementPath = trail ? `${trail} > ${label}` : label;
+        lines.push({ text: `<${[tag, ...attrs].join(' ')}>`, depth, path: elementPath });
+
+        // Inline code is compared by content, shown by size when long
+        if (tag === 'script' || tag === 'style') {
+          const code = child.textContent.replace(/\s+/g, ' ').trim();
+          if (code) lines.push({ text: summarizeText(code), depth: depth + 1, path: elementPath });
+        } else {
+          walk(child, depth + 1, elementPath);
+        }
+      } else if (child.nodeType === 3) {
+        const text = child.textContent.replace(/\s+/g, ' ').trim();
+        if (text) lines.push({ text: summarizeText(text), depth, path: trail });
+      }
+    }
+  };
+
+  walk(document, 0, '');
+  return lines;
+}
+
+function summarizeText(text) {
+  if (text.length <= MAX_INLINE_TEXT) return text;
+  const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+  return `${text.slice(0, 80)}… [${text.length} chars, sha1 ${hash}]`;
+}
+
+// ---- Line diff (Myers) ----
+
+/**
+ * Diff two string arrays. Returns { ops: [{ type: 'equal'|'add'|'remove',
+ * oldIndex, newIndex }], complete }; complete is false when more than
+ * MAX_EDITS lines differ and the middle part is reported as removed + added.
+ */
+export function diffLines(a, b, maxEdits = MAX_EDITS) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  const complete = middle !== null;
+  if (middle) {
+    middle.forEach(op => ops.push({
+      type: op.type,
+      oldIndex: op.oldIndex === null ? null : op.oldIndex + start,
+      newIndex: op.newIndex === null ? null : op.newIndex + start
+    }));
+  } else {
+    for (let i = start; i < endA; i++) ops.push({ type: 'remove', oldIndex: i, newIndex: null });
+    for (let j = start; j < endB; j++) ops.push({ type: 'add', oldIndex: null, newIndex: j });
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ type: 'equal', oldIndex: i, newIndex: j });
+  return { ops, complete };
+}
+
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2)); // only diagonals -d-1..d+1 are read back
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'add', oldIndex: null, newIndex: y - 1 });
+      else ops.push({ type: 'remove', oldIndex: x - 1, newIndex: null });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+// Group changed lines with a little context; lines are indented by depth
+function buildHunks(ops, oldLines, newLines) {
+  const hunks = [];
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= CONTEXT_LINES * 2 + 1) last.end = i;
+    else hunks.push({ start: i, end: i });
+  });
+
+  return hunks.map(({ start, end }) => {
+    const slice = ops.slice(Math.max(0, start - CONTEXT_LINES), Math.min(ops.length, end + CONTEXT_LINES + 1));
+    const firstChange = slice.find(op => op.type !== 'equal');
+    const lineOf = op => op.oldIndex !== null ? oldLines[op.oldIndex] : newLines[op.newIndex];
+    const firstOld = slice.find(op => op.oldIndex !== null);
+    const firstNew = slice.find(op => op.newIndex !== null);
+    return {
+      old_start: firstOld ? firstOld.oldIndex + 1 : 0,
+      new_start: firstNew ? firstNew.newIndex + 1 : 0,
+      path: lineOf(firstChange).path,
+      lines: slice.map(op => {
+        const line = op.type === 'add' ? newLines[op.newIndex] : oldLines[op.oldIndex];
+        return { type: op.type, text: '  '.repeat(line.depth) + line.text };
+      })
+    };
+  });
+}
+
+// ---- formatting ----
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function formatBytes(bytes) {
+  const abs = Math.abs(bytes);
+  if (abs < 1024) return `${bytes} B`;
+  if (abs < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function formatDelta(bytes) {
+  return (bytes > 0 ? '+' : '') + formatBytes(bytes);
+}
+
+// Command-line interface
+async function main() {
+  const argv = process.argv.slice(2);
+  const [oldDir, newDir] = positionalArgs(argv, ['--fail-on-change']);
+
+  if (!oldDir || !newDir) {
+    console.log(`
+Usage: node diff-exports.js <old-export-dir> <new-export-dir> [--out export-diff] [--entry index.html] [--config export.config.json] [--fail-on-change]
+
+Writes export-diff.json and export-diff.html to --out (default ./export-diff).
+--fail-on-change exits with code 1 when the exports differ.
+`);
+    process.exit(1);
+  }
+
+  const config = loadConfig({ configPath: configPathFromArgs(argv) });
+  const flag = name => {
+    const i = argv.indexOf(name);
+    return i > -1 ? argv[i + 1] : undefined;
+  };
+
+  const diff = new ExportDiff(oldDir, newDir, {
+    entryHtml: flag('--entry') || config.entry_html,
+    outDir: flag('--out')
+  });
+  const result = await diff.run();
+  if (argv.includes('--fail-on-change') && !result.summary.identical) process.exitCode = 1;
+}
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+export default ExportDiff;
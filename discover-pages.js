@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Page Discovery Tool
+ *
+ * Builds the list of pages to export from:
+ *   - sitemap.xml / sitemap indexes (WordPress core, Yoast, RankMath)
+ *   - the WordPress REST API (pages, posts and custom post types)
+ *   - a WordPress WXR export file (offline)
+ *
+ * Results can be filtered by post type, slug pattern and modified date and
+ * written as JSON that auto-export.js accepts with --pages.
+ *
+ * The site defaults to source_url and the request timeout to timeout_sec of
+ * the project config (./export.config.json or --config).
+ *
+ * Usage: node discover-pages.js [site-url|export.xml] [options]
+ */
+
+import fs from 'fs-extra';
+import axios from 'axios';
+import { JSDOM } from 'jsdom';
+import { parseAuthArgs, prepareSession, requestOptions } from './auth-session.js';
+import { DEFAULT_CONFIG, loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+
+const DEFAULT_OPTIONS = {
+  source: 'auto',            // auto | sitemap | rest | wxr
+  types: [],                 // post types to keep, empty = all
+  slug: null,                // RegExp tested against the slug
+  modifiedAfter: null,       // Date
+  modifiedBefore: null,      // Date
+  baseUrl: null,             // rewrite WXR links onto this origin (staging, local stand-in)
+  includeDrafts: false,      // WXR/REST: keep non-published items
+  timeout_sec: DEFAULT_CONFIG.timeout_sec,
+  maxSitemaps: 50
+};
+
+// Sitemap URLs tried in order when discovering from a site
+const SITEMAP_CANDIDATES = ['/sitemap_index.xml', '/wp-sitemap.xml', '/sitemap.xml'];
+
+// WXR post types that are never pages
+const WXR_SKIP_TYPES = new Set([
+  'attachment', 'nav_menu_item', 'revision', 'custom_css', 'customize_changeset',
+  'oembed_cache', 'wp_block', 'wp_template', 'wp_template_part', 'wp_global_styles',
+  'wp_navigation', 'cs_template', 'cs_global_block'
+]);
+
+// REST collection for a post type (custom types usually share their name)
+const REST_BASES = { page: 'pages', post: 'posts' };
+
+class PageDiscovery {
+  constructor(target, options = {}) {
+    this.target = target;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.session = options.session || null;
+    this.pages = new Map();
+    this.sources = [];
+  }
+
+  async discover() {
+    const { source } = this.options;
+    console.log(`🔎 Discovering pages from: ${this.target} (source=${source})`);
+
+    if (source === 'wxr' || (source === 'auto' && !/^https?:\/\//i.test(this.target))) {
+      await this.fromWXR(this.target);
+    } else if (source === 'sitemap') {
+      await this.fromSitemap();
+    } else if (source === 'rest') {
+      await this.fromREST();
+    } else {
+      await this.fromSitemap();
+      if (this.pages.size === 0) {
+        console.log('ℹ️ No sitemap entries found, falling back to the REST API');
+        await this.fromREST();
+      }
+    }
+
+    const results = Array.from(this.pages.values()).filter(entry => this.matchesFilters(entry));
+    console.log(`✅ Discovered ${this.pages.size} pages, ${results.length} after filters`);
+    return results;
+  }
+
+  // ---- HTTP helpers ----
+
+  async fetch(url, extra = {}) {
+    const options = this.session ? requestOptions(this.session, url) : {};
+    return axios.get(url, {
+      ...options,
+      ...extra,
+      headers: { ...(options.headers || {}), ...(extra.headers || {}) },
+      timeout: this.options.timeout_sec * 1000
+    });
+  }
+
+  parseXML(xml) {
+    return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+  }
+
+  // ---- Sitemaps ----
+
+  async fromSitemap() {
+    const base = new URL(this.target);
+    // An explicit sitemap URL is used as-is, otherwise try the usual locations
+    const candidates = /\.xml(\?|$)/i.test(base.pathname)
+      ? [base.toString()]
+      : SITEMAP_CANDIDATES.map(p => new URL(p, base.origin).toString());
+
+    for (const sitemapUrl of candidates) {
+      const before = this.pages.size;
+      const found = await this.readSitemap(sitemapUrl, null, new Set());
+      if (found) {
+        this.sources.push(sitemapUrl);
+        console.log(`🗺️ ${sitemapUrl}: ${this.pages.size - before} pages`);
+        return;
+      }
+    }
+    console.log('⚠️ No sitemap found');
+  }
+
+  async readSitemap(sitemapUrl, postType, visited) {
+    if (visited.has(sitemapUrl) || visited.size >= this.options.maxSitemaps) return false;
+    visited.add(sitemapUrl);
+
+    let doc;
+    try {
+      const res = await this.fetch(sitemapUrl, { responseType: 'text' });
+      doc = this.parseXML(res.data);
+    } catch (error) {
+      return false;
+    }
+
+    const root = doc.documentElement;
+    if (!root) return false;
+
+    if (root.localName === 'sitemapindex') {
+      for (const loc of root.getElementsByTagNameNS('*', 'loc')) {
+        const childUrl = loc.textContent.trim();
+        await this.readSitemap(childUrl, this.postTypeFromSitemap(childUrl), visited);
+      }
+      return true;
+    }
+
+    if (root.localName !== 'urlset') return false;
+
+    for (const entry of root.getElementsByTagNameNS('*', 'url')) {
+      const loc = entry.getElementsByTagNameNS('*', 'loc')[0];
+      if (!loc) continue;
+      const lastmod = entry.getElementsByTagNameNS('*', 'lastmod')[0];
+      this.addPage({
+        url: loc.textContent.trim(),
+        type: postType,
+        modified: lastmod ? lastmod.textContent.trim() : null,
+        source: 'sitemap'
+      });
+    }
+    return true;
+  }
+
+  // page-sitemap.xml (Yoast/RankMath), wp-sitemap-posts-page-1.xml (core)
+  postTypeFromSitemap(sitemapUrl) {
+    const file = new URL(sitemapUrl).pathname.split('/').pop();
+    const core = file.match(/^wp-sitemap-(?:posts|taxonomies|users)-([a-z0-9_-]+?)-\d+\.xml$/i);
+    if (core) return core[1];
+    if (/^wp-sitemap-users-\d+\.xml$/i.test(file)) return 'author';
+    const plugin = file.match(/^([a-z0-9_-]+?)-sitemap\d*\.xml$/i);
+    return plugin ? plugin[1] : null;
+  }
+
+  // ---- REST API ----
+
+  async fromREST() {
+    const origin = new URL(this.target).origin;
+    const types = this.options.types.length ? this.options.types : ['page', 'post'];
+
+    for (const type of types) {
+      const restBase = REST_BASES[type] || type;
+      let page = 1;
+      let totalPages = 1;
+      let count = 0;
+
+      do {
+        const params = `per_page=100&page=${page}&_fields=link,slug,type,status,modified_gmt` +
+          (this.options.includeDrafts ? '&status=any' : '');
+        let res;
+        try {
+          res = await this.fetchRESTCollection(origin, restBase, params);
+        } catch (error) {
+          console.log(`⚠️ REST API request failed for ${type}: ${error.response?.status || error.message}`);
+          break;
+        }
+        if (!Array.isArray(res.data)) break;
+
+        res.data.forEach(item => {
+          this.addPage({
+            url: item.link,
+            type: item.type || type,
+            slug: item.slug,
+            status: item.status,
+            modified: item.modified_gmt ? `${item.modified_gmt}Z` : null,
+            source: 'rest'
+          });
+        });
+        count += res.data.length;
+        totalPages = parseInt(res.headers['x-wp-totalpages'], 10) || 1;
+        page++;
+      } while (page <= totalPages);
+
+      console.log(`🔌 REST ${restBase}: ${count} items`);
+    }
+    this.sources.push(`${origin}/wp-json/wp/v2`);
+  }
+
+  // /wp-json/ first, ?rest_route= for sites without pretty permalinks
+  async fetchRESTCollection(origin, restBase, params) {
+    try {
+      return await this.fetch(`${origin}/wp-json/wp/v2/${restBase}?${params}`);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      return this.fetch(`${origin}/?rest_route=/wp/v2/${restBase}&${params}`);
+    }
+  }
+
+  // ---- WXR ----
+
+  async fromWXR(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`WXR file not found: ${filePath}`);
+    }
+
+    const doc = this.parseXML(await fs.readFile(filePath, 'utf-8'));
+    const text = (item, tag) => {
+      const el = item.getElementsByTagName(tag)[0];
+      return el ? el.textContent.trim() : '';
+    };
+
+    let count = 0;
+    for (const item of doc.getElementsByTagName('item')) {
+      const type = text(item, 'wp:post_type');
+      if (WXR_SKIP_TYPES.has(type)) continue;
+
+      const link = text(item, 'link');
+      if (!link) continue;
+
+      const modified = text(item, 'wp:post_modified_gmt');
+      this.addPage({
+        url: this.rebase(link),
+        type,
+        slug: text(item, 'wp:post_name') || null,
+        status: text(item, 'wp:status') || null,
+        modified: modified && !modified.startsWith('0000') ? `${modified.replace(' ', 'T')}Z` : null,
+        source: 'wxr'
+      });
+      count++;
+    }
+
+    this.sources.push(filePath);
+    console.log(`📦 WXR ${filePath}: ${count} items`);
+  }
+
+  // Move a WXR link onto --base-url (e.g. a staging host or local stand-in server)
+  rebase(link) {
+    if (!this.options.baseUrl) return link;
+    try {
+      const original = new URL(link);
+      const base = new URL(this.options.baseUrl);
+      const basePath = base.pathname.replace(/\/$/, '');
+      return new URL(basePath + original.pathname + original.search, base.origin).toString();
+    } catch {
+      return link;
+    }
+  }
+
+  // ---- Results ----
+
+  addPage(entry) {
+    if (!entry.url || this.pages.has(entry.url)) return;
+    let slug = entry.slug;
+    if (!slug) {
+      try {
+        slug = new URL(entry.url).pathname.split('/').filter(Boolean).pop() || '';
+      } catch {
+        slug = '';
+      }
+    }
+    this.pages.set(entry.url, {
+      url: entry.url,
+      type: entry.type || null,
+      slug,
+      status: entry.status || null,
+      modified: entry.modified || null,
+      source: entry.source
+    });
+  }
+
+  matchesFilters(entry) {
+    const { types, slug, modifiedAfter, modifiedBefore, includeDrafts } = this.options;
+
+    // REST already queried the requested types
+    if (types.length && entry.source !== 'rest' && !types.includes(entry.type)) return false;
+    if (!includeDrafts && entry.status && entry.status !== 'publish') return false;
+    if (slug && !slug.test(entry.slug)) return false;
+
+    if (modifiedAfter || modifiedBefore) {
+      const modified = entry.modified ? new Date(entry.modified) : null;
+      if (!modified || isNaN(modified)) return false;
+      if (modifiedAfter && modified < modifiedAfter) return false;
+      if (modifiedBefore && modified > modifiedBefore) return false;
+    }
+    return true;
+  }
+}
+
+function argValue(argv, flag) {
+  const i = argv.indexOf(flag);
+  return i > -1 ? argv[i + 1] : undefined;
+}
+
+// A date without a time is a whole (UTC) day: with endOfDay it ends at
+// 23:59:59.999, so "modified on/before 2024-05-31" keeps that day's items
+function parseDate(value, flag, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid date for ${flag}: ${value}`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+const BOOLEAN_FLAGS = ['--include-drafts'];
+
+/**
+ * Discovery options from CLI flags (shared with auto-export.js --discover),
+ * on top of the shared settings of the project config.
+ */
+export function parseDiscoveryArgs(argv, config = DEFAULT_CONFIG) {
+  const types = argValue(argv, '--type');
+  const slug = argValue(argv, '--slug');
+  return {
+    source: argValue(argv, '--source') || 'auto',
+    types: types ? types.split(',').map(t => t.trim()).filter(Boolean) : [],
+    slug: slug ? new RegExp(slug) : null,
+    modifiedAfter: parseDate(argValue(argv, '--modified-after'), '--modified-after'),
+    modifiedBefore: parseDate(argValue(argv, '--modified-before'), '--modified-before', { endOfDay: true }),
+    baseUrl: argValue(argv, '--base-url') || null,
+    includeDrafts: argv.includes('--include-drafts'),
+    timeout_sec: config.timeout_sec
+  };
+}
+
+// CLI interface
+async function main() {
+  const argv = process.argv.slice(2);
+  const config = loadConfig({ configPath: configPathFromArgs(argv) });
+  const target = positionalArgs(argv, BOOLEAN_FLAGS)[0] || config.source_url;
+
+  if (!target) {
+    console.log(`
+Usage: node discover-pages.js [site-url|sitemap-url|export.xml] [options]
+       (the site defaults to source_url of export.config.json)
+
+Options:
+  --source auto|sitemap|rest|wxr   Discovery source (default: auto)
+  --type page,post                 Keep only these post types
+  --slug REGEX                     Keep slugs matching the pattern
+  --modified-after YYYY-MM-DD      Keep items modified on/after the date
+  --modified-before YYYY-MM-DD     Keep items modified on/before the date
+  --base-url URL                   Rewrite WXR links onto this site
+  --include-drafts                 Keep drafts/private items (REST needs credentials)
+  --out pages.json                 Write the result as JSON (for auto-export.js --pages)
+  --auth user:pass, --header, --cookie   Credentials for protected sites
+  --config FILE                    Project config (default: ./export.config.json;
+                                   source_url and timeout_sec are used)
+
+Examples:
+  node discover-pages.js https://example.com --type page --out pages.json
+  node discover-pages.js https://example.com/page-sitemap.xml --slug "^services-"
+  node discover-pages.js export.WordPress.xml --base-url http://localhost:8080 --type page
+`);
+    process.exit(1);
+  }
+
+  const options = parseDiscoveryArgs(argv, config);
+
+  if (/^https?:\/\//i.test(target)) {
+    const auth = parseAuthArgs(argv);
+    if (auth.wpLogin) throw new Error('--wp-login needs a browser; use --cookie or --storage-state instead');
+    options.session = await prepareSession(null, target, auth);
+  }
+
+  const discovery = new PageDiscovery(target, options);
+  const pages = await discovery.discover();
+
+  const outPath = argValue(argv, '--out');
+  if (outPath) {
+    await fs.writeJson(outPath, pages, { spaces: 2 });
+    console.log(`📄 Page list saved: ${outPath}`);
+  } else {
+    pages.forEach(page => console.log(page.url));
+  }
+}
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main().catch(error => {
+    console.error('❌ Discovery failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export default PageDiscovery;
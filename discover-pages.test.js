@@ -0,0 +1,210 @@
+/**
+ * Page discovery against a local stand-in for a WordPress site: a sitemap
+ * index with Yoast-style child sitemaps, the REST pages/posts collections
+ * (paginated) and a WXR export whose links point at the production host.
+ *
+ * Run with: npm test
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import axios from 'axios';
+import PageDiscovery, { parseDiscoveryArgs } from './discover-pages.js';
+import { loadConfig } from './project-config.js';
+
+const run = promisify(execFile);
+const CLI = new URL('./discover-pages.js', import.meta.url).pathname;
+
+const SITE_PAGES = [
+  { path: '/about/', type: 'page', slug: 'about', status: 'publish', modified: '2024-03-01T10:00:00' },
+  { path: '/services-web/', type: 'page', slug: 'services-web', status: 'publish', modified: '2024-06-10T10:00:00' },
+  { path: '/services-seo/', type: 'page', slug: 'services-seo', status: 'publish', modified: '2023-12-01T10:00:00' },
+  { path: '/coming-soon/', type: 'page', slug: 'coming-soon', status: 'draft', modified: '2024-07-01T10:00:00' },
+  { path: '/blog/hello-world/', type: 'post', slug: 'hello-world', status: 'publish', modified: '2024-05-05T10:00:00' }
+];
+
+let server;
+let origin;
+let tmpDir;
+
+const urlset = entries => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(p => `  <url><loc>${origin}${p.path}</loc><lastmod>${p.modified}+00:00</lastmod></url>`).join('\n')}
+</urlset>`;
+
+const published = type => SITE_PAGES.filter(p => p.type === type && p.status === 'publish');
+
+// One item per REST page so pagination (X-WP-TotalPages) is exercised
+function restCollection(type, query) {
+  const items = SITE_PAGES.filter(p => p.type === type && (p.status === 'publish' || query.get('status') === 'any'));
+  const page = parseInt(query.get('page'), 10) || 1;
+  const item = items[page - 1];
+  return {
+    headers: { 'X-WP-Total': String(items.length), 'X-WP-TotalPages': String(items.length) },
+    body: item ? [{ link: `${origin}${item.path}`, slug: item.slug, type: item.type, status: item.status, modified_gmt: item.modified }] : []
+  };
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, origin);
+  const send = (status, type, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': type, ...headers });
+    res.end(body);
+  };
+
+  if (url.pathname === '/sitemap_index.xml') {
+    return send(200, 'application/xml', `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${origin}/page-sitemap.xml</loc></sitemap>
+  <sitemap><loc>${origin}/post-sitemap.xml</loc></sitemap>
+</sitemapindex>`);
+  }
+  if (url.pathname === '/page-sitemap.xml') return send(200, 'application/xml', urlset(published('page')));
+  if (url.pathname === '/post-sitemap.xml') return send(200, 'application/xml', urlset(published('post')));
+
+  const rest = url.pathname.match(/^\/wp-json\/wp\/v2\/(pages|posts)$/);
+  if (rest) {
+    const { headers, body } = restCollection(rest[1] === 'pages' ? 'page' : 'post', url.searchParams);
+    return send(200, 'application/json', JSON.stringify(body), headers);
+  }
+
+  if (SITE_PAGES.some(p => p.path === url.pathname)) return send(200, 'text/html', '<!DOCTYPE html><title>stand-in</title>');
+  send(404, 'text/plain', 'Not found');
+}
+
+// WXR export taken from production: links use the live host
+const wxr = () => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+${SITE_PAGES.map(p => `  <item>
+    <link>https://www.example.com${p.path}</link>
+    <wp:post_name>${p.slug}</wp:post_name>
+    <wp:post_type>${p.type}</wp:post_type>
+    <wp:status>${p.status}</wp:status>
+    <wp:post_modified_gmt>${p.modified.replace('T', ' ')}</wp:post_modified_gmt>
+  </item>`).join('\n')}
+  <item>
+    <link>https://www.example.com/?attachment_id=12</link>
+    <wp:post_type>attachment</wp:post_type>
+    <wp:status>inherit</wp:status>
+  </item>
+  <item>
+    <link>https://www.example.com/?p=13</link>
+    <wp:post_type>nav_menu_item</wp:post_type>
+    <wp:status>publish</wp:status>
+  </item>
+</channel>
+</rss>`;
+
+async function discover(target, ...args) {
+  const discovery = new PageDiscovery(target, parseDiscoveryArgs(args));
+  return discovery.discover();
+}
+
+const paths = pages => pages.map(p => new URL(p.url).pathname).sort();
+
+before(async () => {
+  // Progress lines would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'discover-pages-'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.remove(tmpDir);
+  mock.restoreAll();
+});
+
+test('sitemap index: every child sitemap, post types from file names', async () => {
+  const pages = await discover(origin);
+  assert.deepEqual(paths(pages), ['/about/', '/blog/hello-world/', '/services-seo/', '/services-web/']);
+  assert.equal(pages.find(p => p.slug === 'hello-world').type, 'post');
+  assert.equal(pages.find(p => p.slug === 'about').type, 'page');
+});
+
+test('sitemap filters: --type and --slug', async () => {
+  assert.deepEqual(paths(await discover(origin, '--type', 'post')), ['/blog/hello-world/']);
+  assert.deepEqual(paths(await discover(origin, '--type', 'page', '--slug', '^services-')), ['/services-seo/', '/services-web/']);
+});
+
+test('sitemap filters: --modified-after and --modified-before', async () => {
+  assert.deepEqual(
+    paths(await discover(origin, '--modified-after', '2024-01-01', '--modified-before', '2024-05-31')),
+    ['/about/', '/blog/hello-world/']
+  );
+});
+
+test('--modified-before keeps items modified during the boundary day', async () => {
+  // hello-world was modified on 2024-05-05 at 10:00 UTC
+  assert.deepEqual(paths(await discover(origin, '--type', 'post', '--modified-before', '2024-05-05')), ['/blog/hello-world/']);
+  assert.deepEqual(paths(await discover(origin, '--type', 'post', '--modified-before', '2024-05-04')), []);
+  assert.deepEqual(paths(await discover(origin, '--type', 'post', '--modified-before', '2024-05-05T09:00:00Z')), []);
+  assert.deepEqual(paths(await discover(origin, '--type', 'post', '--modified-after', '2024-05-05')), ['/blog/hello-world/']);
+
+  const file = path.join(tmpDir, 'export-boundary.xml');
+  await fs.writeFile(file, wxr());
+  assert.deepEqual(paths(await discover(file, '--modified-after', '2024-06-10', '--modified-before', '2024-06-10')), ['/services-web/']);
+});
+
+test('REST API: paginated pages and posts, drafts only with --include-drafts', async () => {
+  assert.deepEqual(
+    paths(await discover(origin, '--source', 'rest')),
+    ['/about/', '/blog/hello-world/', '/services-seo/', '/services-web/']
+  );
+  const withDrafts = await discover(origin, '--source', 'rest', '--type', 'page', '--include-drafts');
+  assert.deepEqual(paths(withDrafts), ['/about/', '/coming-soon/', '/services-seo/', '/services-web/']);
+  assert.equal(withDrafts.find(p => p.slug === 'coming-soon').status, 'draft');
+});
+
+test('WXR: skips attachments and menu items, excludes drafts, rebases onto --base-url', async () => {
+  const file = path.join(tmpDir, 'export.WordPress.xml');
+  await fs.writeFile(file, wxr());
+
+  const pages = await discover(file, '--base-url', origin, '--type', 'page', '--slug', '^(about|services-)');
+  assert.deepEqual(pages.map(p => p.url).sort(), [`${origin}/about/`, `${origin}/services-seo/`, `${origin}/services-web/`]);
+
+  // The rebased links are served by the stand-in
+  for (const page of pages) {
+    assert.equal((await axios.get(page.url)).status, 200);
+  }
+
+  const all = await discover(file, '--modified-after', '2024-05-01');
+  assert.deepEqual(all.map(p => p.url).sort(), ['https://www.example.com/blog/hello-world/', 'https://www.example.com/services-web/']);
+});
+
+test('--base-url keeps a sub-directory of the target site', async () => {
+  const file = path.join(tmpDir, 'export-subdir.xml');
+  await fs.writeFile(file, wxr());
+  const pages = await discover(file, '--base-url', `${origin}/staging/`, '--slug', '^about$');
+  assert.deepEqual(pages.map(p => p.url), [`${origin}/staging/about/`]);
+});
+
+test('project config: source_url is the default site, timeout_sec the request timeout', async () => {
+  const configPath = path.join(tmpDir, 'export.config.json');
+  const outPath = path.join(tmpDir, 'pages.json');
+  await fs.writeJson(configPath, { source_url: `${origin}/`, timeout_sec: 7 });
+
+  const config = loadConfig({ configPath });
+  assert.equal(parseDiscoveryArgs(['--type', 'page'], config).timeout_sec, 7);
+
+  await run(process.execPath, [CLI, '--config', configPath, '--type', 'post', '--out', outPath], { timeout: 30000 });
+  assert.deepEqual((await fs.readJson(outPath)).map(p => p.url), [`${origin}/blog/hello-world/`]);
+});
+
+test('project config: unknown keys stop discovery', async () => {
+  const configPath = path.join(tmpDir, 'bad.config.json');
+  await fs.writeJson(configPath, { source_url: origin, timeout_secs: 7 });
+  await assert.rejects(
+    run(process.execPath, [CLI, '--config', configPath], { timeout: 30000 }),
+    error => error.code === 1 && /unknown key "timeout_secs"/.test(error.stderr)
+  );
+});
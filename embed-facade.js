@@ -0,0 +1,100 @@
+/**
+ * Lightweight facades for third-party embeds (YouTube, Vimeo, Google Maps).
+ *
+ * The <iframe> element stays in place, so classes, sizes and responsive
+ * wrappers keep working, but its src is replaced by a srcdoc document that
+ * shows a locally saved poster. Clicking the poster navigates the frame to
+ * the real embed; nothing from the provider loads before that.
+ */
+
+export const EMBED_PROVIDERS = {
+  youtube: {
+    label: 'YouTube video',
+    match(u) {
+      if (!/(^|\.)(youtube\.com|youtube-nocookie\.com)$/.test(u.hostname)) return null;
+      const id = u.pathname.match(/^\/embed\/([\w-]{6,})/)?.[1];
+      return id ? { id } : null;
+    },
+    thumbnail: ({ id }) => (id === 'videoseries' ? null : `https://i.ytimg.com/vi/${id}/hqdefault.jpg`),
+    autoplay: true
+  },
+  vimeo: {
+    label: 'Vimeo video',
+    match(u) {
+      const id = u.hostname === 'player.vimeo.com' && u.pathname.match(/^\/video\/(\d+)/)?.[1];
+      return id ? { id } : null;
+    },
+    thumbnail: () => null,
+    autoplay: true
+  },
+  maps: {
+    label: 'Google map',
+    match(u) {
+      const google = /(^|\.)google\.[a-z.]+$/.test(u.hostname);
+      if (google && /^\/maps\/(?:embed|d\/embed)/.test(u.pathname)) return { id: null };
+      if (google && u.pathname.startsWith('/maps') && u.searchParams.get('output') === 'embed') return { id: null };
+      return null;
+    },
+    thumbnail: () => null,
+    autoplay: false
+  }
+};
+
+export const EMBED_PROVIDER_NAMES = Object.keys(EMBED_PROVIDERS);
+
+/**
+ * { provider, id } for an embed URL handled by one of the given providers, or null.
+ */
+export function matchEmbed(src, baseUrl, providers = EMBED_PROVIDER_NAMES) {
+  let u;
+  try { u = new URL(src, baseUrl); } catch { return null; }
+  for (const provider of providers) {
+    const match = EMBED_PROVIDERS[provider].match(u);
+    if (match) return { provider, ...match, url: u.toString() };
+  }
+  return null;
+}
+
+/**
+ * Poster URL the provider publishes for an embed (YouTube only), or null.
+ */
+export function embedThumbnail(embed) {
+  return EMBED_PROVIDERS[embed.provider].thumbnail(embed);
+}
+
+/**
+ * Turn iframe into a facade. poster is a URL relative to the page (srcdoc
+ * documents resolve against their parent), or null for a plain placeholder.
+ */
+export function applyFacade(iframe, embed, poster) {
+  const { label, autoplay } = EMBED_PROVIDERS[embed.provider];
+  const target = new URL(embed.url);
+  if (autoplay) target.searchParams.set('autoplay', '1');
+  const title = iframe.getAttribute('title') || label;
+
+  iframe.setAttribute('data-embed-src', iframe.getAttribute('src'));
+  iframe.setAttribute('data-embed-provider', embed.provider);
+  iframe.removeAttribute('src');
+  iframe.setAttribute('srcdoc', facadeDocument(target.toString(), `${autoplay ? 'Play' : 'Load'} ${title}`, poster, autoplay ? '▶ ' : ''));
+}
+
+function facadeDocument(href, label, poster, icon) {
+  const style = [
+    '*{margin:0;padding:0;box-sizing:border-box}',
+    'html,body{height:100%;overflow:hidden;background:#111}',
+    'a{position:absolute;inset:0;display:flex;align-items:center;justify-content:center;font:600 15px/1.3 system-ui,sans-serif;color:#fff;text-decoration:none}',
+    'img{position:absolute;inset:0;width:100%;height:100%;object-fit:cover}',
+    'span{position:relative;padding:12px 20px;border-radius:12px;background:rgba(0,0,0,.72)}',
+    'a:hover span,a:focus span{background:#c00}'
+  ].join('');
+  return `<!doctype html><style>${style}</style><a href="${escapeAttr(href)}" aria-label="${escapeAttr(label)}">` +
+    `${poster ? `<img src="${escapeAttr(poster)}" alt="">` : ''}<span>${icon}${escapeHtml(label)}</span></a>`;
+}
+
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;');
+}
@@ -3,35 +3,71 @@
 // - Render page post-JS via Playwright
 // - Trigger lazy loads (scroll), open common UI (details, tabs, accordions)
 // - Collect ALL assets (CSS, JS, images, fonts, media) + entries from Performance API
+// - Reuse response bodies captured by the browser; re-download only what it never loaded
+// - Persistent asset cache (ETag/Last-Modified): re-exports revalidate instead of downloading again
+// - ThemeCo Pro/Cornerstone profile: component state restored before capture, admin bar and
+//   builder leftovers removed, data-x-* assets localized, generated CSS/scripts verified
+// - Optional tracker stripping (--strip analytics,ads,chat,heatmaps + strip_rules), reported per tag
+// - Optional WordPress cleanup (--wp-cleanup emoji,oembed,... or all): discovery links, generator,
+//   emoji/embed scripts, live ajaxurl and nonces
+// - Form detection (plugin, action, nonces); --form-endpoint rewrites forms posting to the source
+// - Same-origin iframes exported as local pages (--no-frames to keep them remote); optional
+//   click-to-load facades for YouTube/Vimeo/Google Maps embeds (--facades youtube,vimeo,maps|all)
 // - Download assets locally and rewrite references; preserve ALL scripts/styles (no purging)
+// - Localize url()/@import references inside downloaded stylesheets (fonts, backgrounds, imports)
 // - Multi-viewport pass (mobile+desktop) to catch responsive assets
-// - Modes: safe (default), balanced (optional JS bundling), aggressive (placeholder for later)
+// - Optional crawl mode (--crawl) exporting linked same-origin pages with local links
+// - Modes: safe (default), balanced (ordered esbuild bundles, minified CSS/JS, source maps),
+//   aggressive (coverage-based pruning verified by screenshots)
 //
 // Usage:
 // node exporter_v2.js "https://example.com/page" --outfile index.html --mode safe --mobile 390x844 --desktop 1366x900
+// Download tuning: --concurrency 8 --per-host 4 --retries 3 --cache-dir .export-cache --no-cache
+// Tracker stripping: --strip analytics,ads (or --strip all)
+// WordPress cleanup: --wp-cleanup all (or e.g. --wp-cleanup rest-links,oembed,emoji,nonces)
 //
 // Notes:
 // - Start with --mode safe to guarantee maximum fidelity.
-// - Later you can try --mode balanced to bundle JS (still keeps everything).
-// - Avoid "aggressive" unless you want to experiment with pruning.
+// - Later you can try --mode balanced to bundle and minify (still keeps everything).
+// - "aggressive" removes code coverage never saw run; it rolls back if screenshots change.
 
 import { chromium } from 'playwright';
 import fs from 'fs-extra';
 import path from 'path';
 import { JSDOM } from 'jsdom';
 import axios from 'axios';
+import crypto from 'crypto';
+import http from 'http';
 import * as esbuild from 'esbuild';
+import {
+  parseAuthArgs, hasAuth, prepareSession, newSessionPage, requestOptions, describeAuth, redactUrl
+} from './auth-session.js';
+import { loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+import {
+  createCoverageCollector, startCoverage, collectCoverage, wasExecuted, compileSafelist, pruneStylesheet
+} from './coverage-prune.js';
+import { compareScreenshots } from './image-diff.js';
+import {
+  openAssetCache, cachedEntry, conditionalHeaders, readCached, storeInCache, saveAssetCache
+} from './asset-cache.js';
+import {
+  detectThemeCo, captureComponentState, restoreComponentState, removeThemeCoArtifacts,
+  dataXAssetUrls, rewriteDataXUrls, verifyThemeCo
+} from './themeco-profile.js';
+import { TRACKER_PACK_NAMES, compileStripRules, matchDomainRule, stripTrackers } from './tracker-strip.js';
+import { WP_CLEANUP_RULE_NAMES, cleanupWordPress } from './wp-cleanup.js';
+import { detectForms, rewriteForms } from './form-detect.js';
+import { EMBED_PROVIDER_NAMES, matchEmbed, embedThumbnail, applyFacade } from './embed-facade.js';
+import { loadRecipe, interactionSteps, runRecipe } from './interaction-recipes.js';
 
 const argv = process.argv.slice(2);
-const url = argv.find(a => /^https?:\/\//i.test(a));
-if (!url) {
-  console.error('Usage: node exporter_v2.js "https://example.com/page" [--outfile index.html] [--mode safe|balanced|aggressive] [--mobile WxH] [--desktop WxH]');
-  process.exit(1);
+// Flags without a value; every other --flag takes one
+const BOOLEAN_FLAGS = ['--no-cache', '--no-frames', '--crawl'];
+
+function argValue(flag) {
+  const i = argv.indexOf(flag);
+  return i > -1 ? argv[i + 1] : undefined;
 }
-const outFileArgIndex = argv.indexOf('--outfile');
-const outFileName = outFileArgIndex > -1 ? argv[outFileArgIndex + 1] : 'index.html';
-const modeArgIndex = argv.indexOf('--mode');
-const MODE = (modeArgIndex > -1 ? argv[modeArgIndex + 1] : 'safe').toLowerCase();
 
 function parseSize(flag) {
   const i = argv.indexOf(flag);
@@ -41,23 +77,121 @@ function parseSize(flag) {
   return { width: w, height: h };
 }
 
-// Updated responsive design breakpoints according to project specifications
-const BREAKPOINTS = {
-  xs: { width: 375, height: 667 },     // ≤480px - small phones
-  sm: { width: 480, height: 854 },     // ≤767px - large phones  
-  md: { width: 768, height: 1024 },    // ≤979px - tablets
-  lg: { width: 980, height: 1200 },    // ≤1200px - small desktops
-  xl: { width: 1366, height: 900 }     // >1200px - large screens
-};
+function parseNumber(flag, fallback) {
+  const i = argv.indexOf(flag);
+  if (i === -1) return fallback;
+  const n = parseInt(argv[i+1], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
 
-const MOBILE = parseSize('--mobile') || BREAKPOINTS.xs;
-const TABLET = parseSize('--tablet') || BREAKPOINTS.md;
-const DESKTOP = parseSize('--desktop') || BREAKPOINTS.xl;
+function argValues(flag) {
+  return argv.filter((a, i) => argv[i - 1] === flag);
+}
 
-const DIST_DIR = 'dist';
+// --mobile/--tablet/--desktop resize the matching breakpoint (or xs/md/xl)
+function applyViewportFlags(viewports) {
+  const flags = [['--mobile', 'mobile', 'xs'], ['--tablet', 'tablet', 'md'], ['--desktop', 'desktop', 'xl']];
+  let result = viewports;
+  for (const [flag, label, fallbackLabel] of flags) {
+    const size = parseSize(flag);
+    if (!size) continue;
+    const target = result.find(v => v.label === label) || result.find(v => v.label === fallbackLabel);
+    result = target
+      ? result.map(v => v === target ? { label: v.label, ...size } : v)
+      : [...result, { label, ...size }];
+  }
+  return result;
+}
+
+// --strip analytics,ads → ['analytics', 'ads'] ("all" selects every value)
+function parseListFlag(value, allValues) {
+  if (value === undefined) return undefined;
+  const items = value.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+  return items.includes('all') ? allValues : items;
+}
+
+// Project config (export.config.json or --config) with CLI flags on top
+let CONFIG;
+try {
+  CONFIG = loadConfig({
+    configPath: configPathFromArgs(argv),
+    overrides: {
+      source_url: positionalArgs(argv, BOOLEAN_FLAGS).find(a => /^https?:\/\//i.test(a)),
+      export_dir: argValue('--export-dir'),
+      cache_dir: argv.includes('--no-cache') ? '' : argValue('--cache-dir'),
+      entry_html: argValue('--outfile'),
+      mode: argValue('--mode')?.toLowerCase(),
+      profile: argValue('--profile')?.toLowerCase(),
+      form_endpoint: argValue('--form-endpoint'),
+      capture_frames: argv.includes('--no-frames') ? false : undefined,
+      embed_facades: parseListFlag(argValue('--facades'), EMBED_PROVIDER_NAMES),
+      strip_trackers: parseListFlag(argValue('--strip'), TRACKER_PACK_NAMES),
+      wp_cleanup: parseListFlag(argValue('--wp-cleanup'), WP_CLEANUP_RULE_NAMES),
+      recipe: argValue('--recipe') ? loadRecipe(argValue('--recipe')) : undefined
+    }
+  });
+  CONFIG.viewports = applyViewportFlags(CONFIG.viewports);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const url = CONFIG.source_url;
+if (!url) {
+  console.error('Usage: node exporter_v2.js "https://example.com/page" [--config export.config.json] [--export-dir dist] [--outfile index.html] [--mode safe|balanced|aggressive] [--profile auto|themeco|none] [--mobile WxH] [--tablet WxH] [--desktop WxH] [--concurrency N] [--per-host N] [--retries N] [--cache-dir DIR] [--no-cache] [--strip analytics,ads,chat,heatmaps|all] [--wp-cleanup RULES|all] [--form-endpoint URL] [--no-frames] [--facades youtube,vimeo,maps|all] [--recipe recipe.json] [--auth user:pass] [--header "Name: value"] [--cookie "a=1; b=2"] [--storage-state state.json] [--wp-login user:pass] [--wp-login-url URL] [--crawl] [--depth N] [--max-pages N] [--include REGEX] [--exclude REGEX]');
+  process.exit(1);
+}
+let AUTH;
+try {
+  AUTH = parseAuthArgs(argv);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+const outFileName = CONFIG.entry_html;
+const MODE = CONFIG.mode;
+
+// Breakpoints rendered for every page; the widest one provides the base HTML
+const VIEWPORTS = CONFIG.viewports;
+
+// Aggressive mode records JS/CSS coverage in every render pass
+const COVERAGE = MODE === 'aggressive' ? createCoverageCollector() : null;
+
+const DIST_DIR = CONFIG.export_dir;
 const ASSETS_DIR = path.join(DIST_DIR, 'assets');
 const SMALL_INLINE_MAX = 5 * 1024; // 5KB → inline only tiny images (NOT fonts) to avoid font loading/FCP issues
 
+// Download pool: overall and per-host parallelism, retries with exponential backoff
+const DOWNLOAD_CONCURRENCY = Math.max(1, parseNumber('--concurrency', 8));
+const PER_HOST_CONCURRENCY = Math.max(1, parseNumber('--per-host', 4));
+const MAX_RETRIES = parseNumber('--retries', 3);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE']);
+
+// Assets kept between runs and revalidated with conditional requests
+const CACHE = CONFIG.cache_dir ? openAssetCache(CONFIG.cache_dir) : null;
+const CACHED_RESOURCE_TYPES = new Set(['stylesheet', 'script', 'image', 'font', 'media']);
+
+// Trackers and third-party widgets removed from the export (null = keep everything)
+const STRIP_RULES = compileStripRules(CONFIG.strip_trackers, CONFIG.strip_rules);
+
+// Crawl mode: follow same-origin links from the start URL
+const CRAWL = argv.includes('--crawl');
+const CRAWL_DEPTH = parseNumber('--depth', 2);
+const CRAWL_MAX_PAGES = Math.max(1, parseNumber('--max-pages', 20));
+const CRAWL_INCLUDE = argValues('--include').map(p => new RegExp(p));
+const CRAWL_EXCLUDE = [
+  // WordPress endpoints that are never pages
+  /\/wp-admin\//, /\/wp-login\.php/, /\/wp-json\//, /\/xmlrpc\.php/,
+  /\/feed\/?$/, /[?&]replytocom=/,
+  ...argValues('--exclude').map(p => new RegExp(p))
+];
+
+// Same-origin iframes: nesting levels and total frames exported
+const MAX_FRAME_DEPTH = 3;
+const MAX_FRAMES = 20;
+
 function isAbsolute(u) { try { new URL(u); return true; } catch { return false; } }
 function toAbsolute(base, u) {
   if (!u) return null;
@@ -65,35 +199,194 @@ function toAbsolute(base, u) {
   if (u.startsWith('//')) { const b = new URL(base); return `${b.protocol}${u}`; }
   return new URL(u, base).toString();
 }
-function localAssetPath(absUrl) {
-  const u = new URL(absUrl);
-  let p = u.pathname;
-  if (p.endsWith('/')) p += 'index.html';
-  return path.join(ASSETS_DIR, p);
+// Extensions for assets whose URL has none (e.g. fonts.googleapis.com/css?family=...)
+// so serve-export.js sends the right Content-Type
+const CONTENT_TYPE_EXT = {
+  'text/css': '.css',
+  'text/javascript': '.js',
+  'application/javascript': '.js',
+  'application/json': '.json',
+  'text/html': '.html',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'font/woff': '.woff',
+  'font/woff2': '.woff2',
+  'font/ttf': '.ttf'
+};
+
+function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 8);
+}
+// Decode a URL path segment to the name used on disk (serve-export.js decodes
+// request paths the same way) and drop characters filesystems reject.
+function safeSegment(segment) {
+  let s;
+  try { s = decodeURIComponent(segment); } catch { s = segment; }
+  s = s.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+  return s === '' || s === '.' || s === '..' ? '_' : s;
 }
-function relFromIndex(absUrl) {
+// assets/<host>/<path>; query variants (style.css?ver=6.2 vs ?ver=6.3) get a
+// short hash of the query string before the extension: style.1a2b3c4d.css
+function localAssetPath(absUrl, contentType = '') {
   const u = new URL(absUrl);
   let p = u.pathname;
   if (p.endsWith('/')) p += 'index.html';
-  return `./assets${p}`;
+  const segments = p.split('/').filter(Boolean).map(safeSegment);
+  const file = segments.pop();
+  let ext = path.extname(file);
+  let stem = file.slice(0, file.length - ext.length);
+  if (!ext) ext = CONTENT_TYPE_EXT[contentType.split(';')[0].trim().toLowerCase()] || '';
+  if (u.search) stem += `.${shortHash(u.search)}`;
+  return path.join(ASSETS_DIR, safeSegment(u.host), ...segments, stem + ext);
+}
+// Turn a relative filesystem path into a percent-encoded URL path
+function toUrlPath(relPath) {
+  return relPath.split(path.sep).map(encodeURIComponent).join('/');
+}
+function relFromIndex(absUrl, contentType = '') {
+  return `./${toUrlPath(path.relative(DIST_DIR, localAssetPath(absUrl, contentType)))}`;
 }
 function isLikelyFont(p) { return /\.(woff2?|ttf|otf|eot)(\?|#|$)/i.test(p); }
 function isLikelyImage(p) { return /\.(png|jpe?g|gif|webp|svg|avif)(\?|#|$)/i.test(p); }
 function isLikelyCSS(p) { return /\.css(\?|#|$)/i.test(p); }
 function isLikelyJS(p) { return /\.m?js(\?|#|$)/i.test(p); }
 
-async function download(absUrl) {
-  const res = await axios.get(absUrl, { responseType: 'arraybuffer', timeout: 30000 });
+// url(...) references and bare @import "..." statements inside CSS
+const CSS_URL_RE = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_RE = /@import\s+(['"])(.*?)\1/gi;
+
+function isLocalizableRef(ref) {
+  return !!ref && !/^(data:|blob:|about:|javascript:|#)/i.test(ref.trim());
+}
+
+function extractCssRefs(cssText) {
+  const refs = new Set();
+  for (const re of [CSS_URL_RE, CSS_IMPORT_RE]) {
+    for (const m of cssText.matchAll(re)) {
+      if (isLocalizableRef(m[2])) refs.add(m[2].trim());
+    }
+  }
+  return Array.from(refs);
+}
+
+// Resolve a CSS reference against the document it appears in. The fragment
+// (font.eot?#iefix, sprite.svg#icon) is split off so the asset is fetched once.
+function resolveCssRef(base, ref) {
+  let target;
+  try { target = new URL(ref, base); } catch { return null; }
+  if (!/^https?:$/.test(target.protocol)) return null;
+
+  const fragment = target.hash;
+  target.hash = '';
+  if (target.href.endsWith('?')) target.search = '';
+  return { absUrl: target.toString(), fragment };
+}
+
+// Replace every url()/@import reference in cssText with the value returned by
+// resolveRef(ref). Returning null leaves the reference untouched.
+async function rewriteCssRefs(cssText, resolveRef) {
+  const replacements = new Map();
+  for (const ref of extractCssRefs(cssText)) {
+    const mapped = await resolveRef(ref);
+    if (mapped && mapped !== ref) replacements.set(ref, mapped);
+  }
+  if (!replacements.size) return cssText;
+
+  return cssText
+    .replace(CSS_URL_RE, (match, quote, ref) => {
+      const mapped = replacements.get(ref.trim());
+      if (!mapped) return match;
+      // Unquoted url() cannot hold spaces or parentheses
+      const q = quote || (/[\s()'"]/.test(mapped) ? '"' : '');
+      return `url(${q}${mapped}${q})`;
+    })
+    .replace(CSS_IMPORT_RE, (match, quote, ref) => {
+      const mapped = replacements.get(ref.trim());
+      return mapped ? `@import ${quote}${mapped}${quote}` : match;
+    });
+}
+
+async function download(absUrl, options = {}) {
+  const res = await axios.get(absUrl, {
+    ...options,
+    responseType: 'arraybuffer',
+    timeout: CONFIG.download_timeout_sec * 1000,
+    // 304 only comes back for conditional requests
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
   const buffer = Buffer.from(res.data);
-  return { buffer, contentType: res.headers['content-type'] || '', status: res.status };
+  return { buffer, contentType: res.headers['content-type'] || '', status: res.status, headers: res.headers };
 }
+function isRetryableError(e) {
+  if (e.response) return RETRYABLE_STATUSES.has(e.response.status);
+  return RETRYABLE_ERROR_CODES.has(e.code);
+}
+async function downloadWithRetry(absUrl, stats, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await download(absUrl, options);
+    } catch (e) {
+      if (attempt >= MAX_RETRIES || !isRetryableError(e)) throw e;
+      // Honour Retry-After (seconds) on 429/503, otherwise back off exponentially
+      const retryAfter = parseInt(e.response?.headers?.['retry-after'], 10);
+      const delay = Number.isFinite(retryAfter)
+        ? Math.min(retryAfter * 1000, 30000)
+        : RETRY_BASE_DELAY_MS * 2 ** attempt;
+      stats.retries++;
+      console.log(`🔁 Retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms (${e.response?.status || e.code}): ${absUrl}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Bounded task pool with a global limit and a per-host limit
+function createDownloadPool(concurrency, perHost) {
+  const queue = [];
+  const hostActive = new Map();
+  let active = 0;
+
+  const next = () => {
+    for (let i = 0; i < queue.length && active < concurrency;) {
+      const job = queue[i];
+      if ((hostActive.get(job.host) || 0) >= perHost) { i++; continue; }
+      queue.splice(i, 1);
+      run(job);
+    }
+  };
+  const run = async job => {
+    active++;
+    hostActive.set(job.host, (hostActive.get(job.host) || 0) + 1);
+    try {
+      job.resolve(await job.task());
+    } catch (e) {
+      job.reject(e);
+    } finally {
+      active--;
+      hostActive.set(job.host, hostActive.get(job.host) - 1);
+      next();
+    }
+  };
+
+  return {
+    run(host, task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ host, task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
 function toDataUri(buffer, contentType, fallbackExt='bin') {
   const ct = contentType || (fallbackExt === 'svg' ? 'image/svg+xml' : 'application/octet-stream');
   const base64 = buffer.toString('base64');
   return `data:${ct};base64,${base64}`;
 }
 
-async function openCommonUI(page) {
+async function openCommonUI(page, label) {
   try {
     // Check if page is still valid at the start
     if (page.isClosed()) {
@@ -121,47 +414,15 @@ async function openCommonUI(page) {
       }
     }
     
-    // Try click common accordion/tab toggles by heuristics (ThemeCo often uses x- classes)
-    const selectors = [
-      '[aria-controls]', '.accordion [role="button"]', '.tabs [role="tab"]',
-      '.x-accordion .x-accordion-toggle', '.x-tab', '.x-toggle', '.x-nav-tabs [role="tab"]'
-    ];
-    
-    for (const sel of selectors) {
-      try {
-        // Check if page is still valid before each selector
-        if (page.isClosed()) {
-          console.log('⚠️ Page closed during selector iteration, stopping UI interactions');
-          break;
-        }
-        
-        const handles = await page.$$(sel).catch((e) => {
-          if (e.message.includes('Execution context was destroyed')) {
-            console.log('⚠️ Execution context destroyed during element query, stopping UI interactions');
-          }
-          return [];
-        });
-        
-        for (const h of handles) { 
-          try { 
-            if (!page.isClosed()) {
-              await h.click({ timeout: 200, force: true }); 
-            }
-          } catch (clickError) {
-            // Ignore individual click errors but log context destruction
-            if (clickError.message.includes('Execution context was destroyed')) {
-              console.log('⚠️ Click interrupted by navigation');
-              return;
-            }
-          } 
-        }
-      } catch (e) {
-        // Skip selector if execution context is destroyed
-        if (e.message.includes('Execution context was destroyed')) {
-          console.log('⚠️ Selector processing interrupted by navigation');
-          break;
-        }
-      }
+    // Interaction recipe, or the accordion/tab toggles from the project config
+    // (ThemeCo often uses x- classes); <details> are already open
+    const steps = interactionSteps(CONFIG, { timeout_ms: 200, force: true }, { openedDetails: true });
+    const results = await runRecipe(page, steps, {
+      screenshotDir: CONFIG.recipe_screenshot_dir || null,
+      label
+    });
+    for (const result of results.filter(r => r.status === 'failed')) {
+      console.log(`⚠️ Recipe step ${result.step} (${result.action}${result.selector ? ` ${result.selector}` : ''}) failed: ${result.error}`);
     }
   } catch (e) {
     // Log error but don't fail the entire export
@@ -210,15 +471,17 @@ async function autoScroll(page) {
   }
 }
 
-async function renderMultiViewport(browser, targetUrl) {
+async function renderMultiViewport(browser, targetUrl, capturedResponses, session) {
   console.log('🔄 Rendering multiple viewports for comprehensive responsive asset capture...');
   
   const results = [];
+  const widest = widestViewport();
   
   // Render all breakpoints to capture responsive assets
-  for (const [name, size] of Object.entries(BREAKPOINTS)) {
+  for (const { label: name, width, height } of VIEWPORTS) {
+    const size = { width, height };
     console.log(`📱 Rendering ${name} viewport (${size.width}x${size.height})`);
-    const result = await renderAndCollect(browser, targetUrl, size);
+    const result = await renderAndCollect(browser, targetUrl, size, capturedResponses, session, name === widest.label);
     results.push({ name, size, ...result });
     
     // Small delay between renders to avoid overwhelming the server
@@ -249,23 +512,118 @@ async function waitForNetworkIdle(page, idleMs = 500, timeoutMs = 15000) {
   page.off('requestfailed', onDone);
 }
 
-async function renderAndCollect(browser, targetUrl, size) {
-  const page = await browser.newPage({ viewport: size });
+// Keep the body of a finished browser response so the asset can be saved
+// without a second request (cookies, referrer and signed URLs all stay valid).
+async function captureResponseBody(req, capturedResponses) {
+  const u = req.url();
+  if (!/^https?:/i.test(u) || capturedResponses.has(u)) return;
+  if (req.resourceType() === 'document' && req.isNavigationRequest()) return;
+
+  const res = await req.response();
+  // Redirects have no body; 206 is a partial range of a media file
+  if (!res || !res.ok() || res.status() === 206) return;
+
+  const buffer = await res.body();
+  if (!capturedResponses.has(u)) {
+    const headers = res.headers();
+    capturedResponses.set(u, {
+      buffer,
+      contentType: headers['content-type'] || '',
+      status: res.status(),
+      headers
+    });
+  }
+}
+
+// Revalidate cached static assets from the browser too: the request goes out
+// with If-None-Match/If-Modified-Since and a 304 is answered from the cache.
+async function routeThroughCache(context, session) {
+  await context.route(() => true, async route => {
+    const req = route.request();
+    const entry = req.method() === 'GET' && CACHED_RESOURCE_TYPES.has(req.resourceType())
+      ? cachedEntry(CACHE, req.url()) : null;
+    if (!entry) return route.fallback();
+
+    try {
+      // The session route is skipped by fetch(), so add its headers here
+      const extra = new URL(req.url()).origin === session.sourceOrigin ? session.auth.headers : {};
+      const response = await route.fetch({
+        headers: { ...req.headers(), ...extra, ...lowerCaseKeys(conditionalHeaders(entry)) }
+      });
+      if (response.status() === 304) {
+        const cached = await readCached(CACHE, req.url());
+        if (cached) {
+          CACHE.served.add(req.url());
+          const headers = response.headers();
+          // The stored body is decoded; drop encoding/length of the 304
+          delete headers['content-encoding'];
+          delete headers['content-length'];
+          delete headers['transfer-encoding'];
+          return route.fulfill({
+            status: 200,
+            headers: { ...headers, 'content-type': cached.contentType },
+            body: cached.buffer
+          });
+        }
+        // Stored body is gone: ask again without validators
+        return route.fallback();
+      }
+      return route.fulfill({ response });
+    } catch {
+      return route.fallback();
+    }
+  });
+}
+
+// Stripped trackers are not loaded while rendering either, so they cannot
+// inject widgets into the captured HTML or pull in further resources
+async function blockTrackers(context) {
+  await context.route(() => true, route =>
+    matchDomainRule(route.request().url(), STRIP_RULES) ? route.abort('blockedbyclient') : route.fallback()
+  );
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+function widestViewport() {
+  return VIEWPORTS.reduce((widest, v) => v.width > widest.width ? v : widest);
+}
+
+async function renderAndCollect(browser, targetUrl, size, capturedResponses, session, capturePosters = false) {
+  const { context, page } = await newSessionPage(browser, session, size);
   const reqUrls = new Set();
+  const frameReqUrls = new Map(); // child frame URL -> URLs it requested
+  const pendingBodies = [];
 
   try {
+    if (CACHE) await routeThroughCache(context, session);
+    if (STRIP_RULES) await blockTrackers(context); // registered last, so it runs first
+    if (COVERAGE) await startCoverage(page);
+
     // Capture ALL network requests to avoid missing cross-origin resources
     page.on('requestfinished', req => {
       try { 
         const u = req.url(); 
-        if (u) reqUrls.add(u); 
+        if (!u) return;
+        // Requests of child frames are kept apart: mergeFrameResources() drops
+        // them for frames exported as pages of their own and for facaded embeds
+        if (req.frame() === page.mainFrame()) {
+          reqUrls.add(u);
+        } else {
+          const frameUrl = normalizePageUrl(req.isNavigationRequest() ? u : req.frame().url());
+          if (!frameReqUrls.has(frameUrl)) frameReqUrls.set(frameUrl, new Set());
+          frameReqUrls.get(frameUrl).add(u);
+        }
+        pendingBodies.push(captureResponseBody(req, capturedResponses).catch(() => {}));
       } catch {}
     });
 
     // Navigate with extended timeout and wait for network stability
     await page.goto(targetUrl, { 
       waitUntil: 'domcontentloaded', 
-      timeout: 60000 
+      timeout: CONFIG.export_timeout_sec * 1000 
     });
     
     // Wait for network to settle before interacting
@@ -276,9 +634,15 @@ async function renderAndCollect(browser, targetUrl, size) {
     // Small delay to ensure page is fully stable
     await page.waitForTimeout(1000);
     
+    // ThemeCo profile: remember component state before the reveal clicks
+    let componentState = null;
+    if (CONFIG.profile !== 'none') {
+      componentState = await captureComponentState(page, CONFIG.profile === 'themeco').catch(() => null);
+    }
+
     // Try UI interactions with comprehensive error handling
     try {
-      await openCommonUI(page);
+      await openCommonUI(page, `export-${pageSlug(targetUrl)}-${size.width}x${size.height}`);
     } catch (e) {
       if (e.message.includes('Execution context was destroyed')) {
         console.log('⚠️ UI interactions skipped due to navigation during openCommonUI');
@@ -311,6 +675,12 @@ async function renderAndCollect(browser, targetUrl, size) {
       console.log('⚠️ Network idle wait failed, continuing anyway');
     }
     
+    // Close what the clicks opened and put scroll effects back to their start
+    let restoredElements = 0;
+    if (componentState !== null) {
+      restoredElements = await restoreComponentState(page).catch(() => 0);
+    }
+
     let html = '';
     try {
       html = await page.content();
@@ -323,6 +693,9 @@ async function renderAndCollect(browser, targetUrl, size) {
       }
     }
 
+    // Facade posters: screenshots of the embeds that get replaced
+    const posters = capturePosters && CONFIG.embed_facades.length ? await captureEmbedPosters(page) : null;
+
     // Get resources from both Performance API and network capture
     let perfResources = [];
     try {
@@ -346,19 +719,255 @@ async function renderAndCollect(browser, targetUrl, size) {
     // Merge network-captured URLs with Performance API results
     const allResources = [...new Set([...perfResources, ...reqUrls])];
 
-    return { html, resources: allResources };
+    // Bodies must be read before the page closes
+    await Promise.allSettled(pendingBodies);
+
+    if (COVERAGE) {
+      await collectCoverage(page, COVERAGE).catch(e => {
+        // A missing pass could make used code look unused: prune nothing
+        COVERAGE.incomplete = true;
+        console.log(`⚠️ Coverage not recorded for this pass: ${e.message}`);
+      });
+    }
+
+    return { html, resources: allResources, frameResources: frameReqUrls, restoredElements, posters };
   } finally {
     // Always close the page, even if errors occurred
     try {
-      await page.close();
+      await context.close();
+    } catch {}
+  }
+}
+
+// Render one page across all breakpoints; the largest viewport is the base HTML
+async function renderPage(browser, pageUrl, capturedResponses, session) {
+  const viewportResults = await renderMultiViewport(browser, pageUrl, capturedResponses, session);
+  const baseResult = viewportResults.reduce((widest, r) => r.size.width > widest.size.width ? r : widest);
+  const resources = new Set();
+  viewportResults.forEach(result => result.resources.forEach(r => resources.add(r)));
+  return {
+    url: pageUrl, viewportResults, html: baseResult.html, restoredElements: baseResult.restoredElements,
+    posters: baseResult.posters, resources, frameResources: mergeFrameMaps(viewportResults.map(r => r.frameResources))
+  };
+}
+
+function mergeFrameMaps(maps) {
+  const merged = new Map();
+  for (const map of maps) {
+    for (const [frameUrl, urls] of map) {
+      if (!merged.has(frameUrl)) merged.set(frameUrl, new Set());
+      urls.forEach(u => merged.get(frameUrl).add(u));
+    }
+  }
+  return merged;
+}
+
+// Assets requested inside a child frame are exported with that frame when it
+// became a local page, and dropped for embeds that get a facade (nothing from
+// the provider loads before a click); otherwise (third-party frame,
+// --no-frames, capture failed) they stay with the parent page, as before
+// frames were exported
+function mergeFrameResources(pages) {
+  const exportedFrames = new Set(pages.filter(p => p.frameOf).map(p => p.url));
+  for (const page of pages) {
+    const facades = facadeFrameUrls(page, exportedFrames);
+    for (const [frameUrl, urls] of page.frameResources) {
+      if (!exportedFrames.has(frameUrl) && !facades.has(frameUrl)) urls.forEach(u => page.resources.add(u));
+    }
+  }
+}
+
+// Frame URLs of the iframes classifyEmbeds() will turn into facades (their
+// data-embed-src)
+function facadeFrameUrls(page, exportedFrames) {
+  const urls = new Set();
+  if (!CONFIG.embed_facades.length || page.frameResources.size === 0) return urls;
+  new JSDOM(page.html).window.document.querySelectorAll('iframe[src]').forEach(iframe => {
+    const src = iframe.getAttribute('src');
+    try {
+      const frameUrl = normalizePageUrl(new URL(src, page.url).toString());
+      if (!exportedFrames.has(frameUrl) && matchEmbed(src, page.url, CONFIG.embed_facades)) urls.add(frameUrl);
+    } catch {}
+  });
+  return urls;
+}
+
+// Embed src -> JPEG screenshots (null when not visible), in document order
+async function captureEmbedPosters(page) {
+  const posters = new Map();
+  try {
+    for (const frame of await page.$$('iframe[src]')) {
+      const src = await frame.getAttribute('src');
+      if (!matchEmbed(src, page.url(), CONFIG.embed_facades)) continue;
+      let shot = null;
+      try {
+        if (await frame.isVisible()) shot = await frame.screenshot({ type: 'jpeg', quality: 80, timeout: 5000 });
+      } catch {}
+      if (!posters.has(src)) posters.set(src, []);
+      posters.get(src).push(shot);
+    }
+  } catch (e) {
+    console.log(`⚠️ Embed posters not captured: ${e.message}`);
+  }
+  return posters;
+}
+
+// Same-origin <iframe> pages of a rendered page
+function extractFrameUrls(baseUrl, html, origin) {
+  const doc = new JSDOM(html).window.document;
+  const urls = [];
+  doc.querySelectorAll('iframe[src]').forEach(frame => {
+    try {
+      const u = new URL(frame.getAttribute('src'), baseUrl);
+      if (/^https?:$/.test(u.protocol) && u.origin === origin) urls.push(normalizePageUrl(u.toString()));
     } catch {}
+  });
+  return urls;
+}
+
+// Render same-origin frames (once, at the widest breakpoint) and add them as
+// pages; frames inside frames follow up to MAX_FRAME_DEPTH levels
+async function captureFrames(browser, pages, capturedResponses, session) {
+  const origin = new URL(pages[0].url).origin;
+  const { label, width, height } = widestViewport();
+  const known = new Set(pages.map(p => p.url));
+  const queue = pages.map(page => ({ page, level: 0 }));
+  let captured = 0;
+
+  while (queue.length) {
+    const { page: parent, level } = queue.shift();
+    if (level >= MAX_FRAME_DEPTH) continue;
+    for (const frameUrl of extractFrameUrls(parent.url, parent.html, origin)) {
+      if (known.has(frameUrl)) continue;
+      known.add(frameUrl);
+      if (captured >= MAX_FRAMES) {
+        console.log(`ℹ️ Frame limit reached (${MAX_FRAMES}), ${redactUrl(frameUrl)} stays remote`);
+        continue;
+      }
+      console.log(`🖼️ Capturing frame: ${redactUrl(frameUrl)}`);
+      try {
+        const size = { width, height };
+        const result = await renderAndCollect(browser, frameUrl, size, capturedResponses, session, true);
+        const frame = {
+          url: frameUrl,
+          viewportResults: [{ name: label, size, ...result }],
+          html: result.html,
+          restoredElements: result.restoredElements,
+          posters: result.posters,
+          resources: new Set(result.resources),
+          frameResources: result.frameResources,
+          depth: parent.depth,
+          frameOf: parent.url
+        };
+        pages.push(frame);
+        queue.push({ page: frame, level: level + 1 });
+        captured++;
+      } catch (e) {
+        console.log(`⚠️ Skipping frame ${redactUrl(frameUrl)}: ${e.message}`);
+      }
+    }
   }
+  if (captured) console.log(`🖼️ Exported ${captured} same-origin frames`);
 }
 
-function extractDomAssets(baseUrl, html) {
+function normalizePageUrl(pageUrl) {
+  const u = new URL(pageUrl);
+  u.hash = '';
+  return u.toString();
+}
+
+function isCrawlable(pageUrl, origin) {
+  let u;
+  try { u = new URL(pageUrl); } catch { return false; }
+  if (u.origin !== origin) return false;
+  // Skip files (PDFs, images, archives...) - only pages are crawled
+  const ext = path.posix.extname(u.pathname).toLowerCase();
+  if (ext && !['.html', '.htm', '.php'].includes(ext)) return false;
+  const target = u.toString();
+  if (CRAWL_EXCLUDE.some(re => re.test(target))) return false;
+  return !CRAWL_INCLUDE.length || CRAWL_INCLUDE.some(re => re.test(target));
+}
+
+function extractPageLinks(baseUrl, html) {
+  const doc = new JSDOM(html).window.document;
+  const links = [];
+  doc.querySelectorAll('a[href]').forEach(a => {
+    const href = a.getAttribute('href');
+    if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href)) return;
+    try { links.push(normalizePageUrl(new URL(href, baseUrl).toString())); } catch {}
+  });
+  return links;
+}
+
+// Breadth-first crawl of same-origin links up to CRAWL_DEPTH / CRAWL_MAX_PAGES
+async function crawlSite(browser, startUrl, capturedResponses, session) {
+  const origin = new URL(startUrl).origin;
+  const queue = [{ url: startUrl, depth: 0 }];
+  const seen = new Set([startUrl]);
+  const pages = [];
+
+  while (queue.length && pages.length < CRAWL_MAX_PAGES) {
+    const { url: pageUrl, depth } = queue.shift();
+    console.log(`\n🕸️ [${pages.length + 1}/${CRAWL_MAX_PAGES}] Crawling (depth ${depth}): ${redactUrl(pageUrl)}`);
+    try {
+      const page = await renderPage(browser, pageUrl, capturedResponses, session);
+      pages.push({ ...page, depth });
+      if (depth >= CRAWL_DEPTH) continue;
+      for (const link of extractPageLinks(pageUrl, page.html)) {
+        if (seen.has(link) || !isCrawlable(link, origin)) continue;
+        seen.add(link);
+        queue.push({ url: link, depth: depth + 1 });
+      }
+    } catch (e) {
+      // The start page must export; other pages are skipped on failure
+      if (depth === 0) throw e;
+      console.log(`⚠️ Skipping page ${redactUrl(pageUrl)}: ${e.message}`);
+    }
+  }
+
+  if (queue.length) console.log(`ℹ️ Page limit reached (${CRAWL_MAX_PAGES}), ${queue.length} queued pages not exported`);
+  return pages;
+}
+
+// Output file of a page relative to DIST_DIR: the start page is the entry
+// (--outfile), other pages mirror their URL path as <path>/index.html
+function pageOutputFile(pageUrl, isEntry) {
+  if (isEntry) return outFileName;
+  const u = new URL(pageUrl);
+  const segments = u.pathname.split('/').filter(Boolean).map(safeSegment);
+  if (u.search) segments.push(`q-${shortHash(u.search)}`);
+  return path.posix.join(...segments, 'index.html');
+}
+
+// File-name form of a page URL path (recipe screenshots): about/team → about_team
+function pageSlug(pageUrl) {
+  return new URL(pageUrl).pathname.split('/').filter(Boolean).map(safeSegment).join('_') || 'home';
+}
+
+function assignPageFiles(pages) {
+  const used = new Set();
+  pages.forEach((page, i) => {
+    const base = pageOutputFile(page.url, i === 0);
+    let file = base;
+    for (let n = 2; used.has(file); n++) file = base.replace(/\.html$/, `-${n}.html`);
+    used.add(file);
+    page.file = file;
+  });
+}
+
+// Convert a DIST_DIR-relative reference (./assets/...) to one relative to the
+// page file, e.g. ../../assets/... for about/team/index.html
+function toPageRef(mapped, pageFile) {
+  if (!mapped.startsWith('./')) return mapped;
+  const rel = path.posix.relative(path.posix.dirname(pageFile), mapped.slice(2));
+  return rel.startsWith('../') ? rel : `./${rel}`;
+}
+
+function extractDomAssets(baseUrl, html, prepare = null) {
   const dom = new JSDOM(html);
   const doc = dom.window.document;
   const assets = new Set();
+  if (prepare) prepare(doc);
 
   // stylesheets
   doc.querySelectorAll('link[rel="stylesheet"]').forEach(l => {
@@ -401,17 +1010,28 @@ function extractDomAssets(baseUrl, html) {
     }
   });
 
+  // files shown through <object>/<embed>
+  doc.querySelectorAll('object[data]').forEach(o => {
+    const a = toAbsolute(baseUrl, o.getAttribute('data')); if (a) assets.add(a);
+  });
+  doc.querySelectorAll('embed[src]').forEach(e => {
+    const a = toAbsolute(baseUrl, e.getAttribute('src')); if (a) assets.add(a);
+  });
+
   // preload/prefetch & modulepreload (fonts, images, scripts)
   doc.querySelectorAll('link[rel="preload"],link[rel="prefetch"],link[rel="modulepreload"]').forEach(l => {
     const href = l.getAttribute('href'); const a = toAbsolute(baseUrl, href); if (a) assets.add(a);
   });
-  // CSS @import in <style> tags (basic)
-  doc.querySelectorAll('style').forEach(st => {
-    const txt = st.textContent || '';
-    const re = /@import\s+url\((['"]?)([^'")]+)\1\)/g;
-    let m; while ((m = re.exec(txt))) {
-      const a = toAbsolute(baseUrl, m[2]); if (a) assets.add(a);
-    }
+  // url() and @import references in <style> blocks and style="" attributes
+  // (Cornerstone/Pro emits section and column backgrounds inline)
+  const inlineCss = [
+    ...Array.from(doc.querySelectorAll('style'), st => st.textContent || ''),
+    ...Array.from(doc.querySelectorAll('[style]'), el => el.getAttribute('style') || '')
+  ];
+  inlineCss.forEach(css => {
+    extractCssRefs(css).forEach(ref => {
+      const target = resolveCssRef(baseUrl, ref); if (target) assets.add(target.absUrl);
+    });
   });
 
   return { dom, doc, assets: Array.from(assets) };
@@ -422,10 +1042,124 @@ async function ensureDirAndWrite(filePath, buffer) {
   await fs.writeFile(filePath, buffer);
 }
 
+// Clean-up before a page's assets are collected: tracker stripping, WordPress
+// cleanup, form actions and the ThemeCo profile (auto = only pages that look like Pro/Cornerstone)
+function preparePage(page, doc, pageFiles) {
+  if (STRIP_RULES) page.stripped = stripTrackers(doc, page.url, STRIP_RULES);
+  classifyEmbeds(page, doc, pageFiles);
+  if (CONFIG.wp_cleanup.length) page.wpCleanup = cleanupWordPress(doc, CONFIG.wp_cleanup);
+  page.forms = detectForms(doc, page.url);
+  if (CONFIG.form_endpoint) rewriteForms(doc, page.forms, CONFIG.form_endpoint);
+  const signals = CONFIG.profile === 'none' ? [] : detectThemeCo(doc);
+  if (CONFIG.profile === 'themeco' || signals.length) {
+    page.themeco = {
+      signals,
+      restoredElements: page.restoredElements || 0,
+      artifactsRemoved: removeThemeCoArtifacts(doc)
+    };
+  }
+}
+
+function formsToOrigin(pages) {
+  return pages.reduce((n, p) => n + (p.forms || []).filter(f => f.target === 'origin' && f.plugin !== 'search' && !f.rewrittenTo).length, 0);
+}
+
+// What happens to each <iframe>, <object> and <embed>: exported frame pages
+// are linked locally, known third-party embeds get a facade (applied after
+// downloads, see rewritePage), object/embed files are downloaded as assets
+function classifyEmbeds(page, doc, pageFiles) {
+  const origin = new URL(url).origin;
+  const seen = new Map(); // src -> occurrences, to pair iframes with their screenshots
+  page.embeds = [];
+  page.posterFiles = [];
+
+  doc.querySelectorAll('iframe[src]').forEach(iframe => {
+    const src = iframe.getAttribute('src');
+    const occurrence = seen.get(src) || 0;
+    seen.set(src, occurrence + 1);
+    let abs;
+    try { abs = new URL(src, page.url); } catch { return; }
+    if (!/^https?:$/.test(abs.protocol)) return;
+
+    const entry = { tag: 'iframe', src: redactUrl(abs.toString()) };
+    const frameFile = abs.origin === origin && pageFiles.get(normalizePageUrl(abs.toString()));
+    const embed = !frameFile && CONFIG.embed_facades.length && matchEmbed(src, page.url, CONFIG.embed_facades);
+    if (frameFile) {
+      iframe.setAttribute('src', pageLink(page.file, frameFile) + abs.hash);
+      Object.assign(entry, { treatment: 'frame', file: frameFile });
+    } else if (embed) {
+      const shot = page.posters?.get(src)?.[occurrence];
+      const facade = { iframe, embed, posterFile: null, thumbnail: null };
+      if (shot) {
+        facade.posterFile = `./assets/embeds/${shortHash(shot)}.jpg`;
+        page.posterFiles.push({ file: facade.posterFile, buffer: shot });
+      } else {
+        facade.thumbnail = embedThumbnail(embed);
+      }
+      Object.assign(entry, {
+        treatment: 'facade',
+        provider: embed.provider,
+        poster: shot ? 'screenshot' : facade.thumbnail ? 'thumbnail' : 'none'
+      });
+      Object.defineProperty(entry, 'facade', { value: facade });
+    } else {
+      Object.assign(entry, {
+        treatment: 'remote',
+        provider: matchEmbed(src, page.url)?.provider || null,
+        reason: abs.origin !== origin ? 'third-party'
+          : CONFIG.capture_frames ? 'frame could not be captured' : 'frame capture disabled'
+      });
+    }
+    page.embeds.push(entry);
+  });
+
+  doc.querySelectorAll('object[data], embed[src]').forEach(el => {
+    const abs = toAbsolute(page.url, el.getAttribute(el.tagName === 'OBJECT' ? 'data' : 'src'));
+    if (abs) page.embeds.push({ tag: el.tagName.toLowerCase(), src: abs, treatment: 'asset' });
+  });
+}
+
+// Rewrite map target stored in the export (local file or data URI)
+function isLocalRef(ref) {
+  return Boolean(ref) && (ref.startsWith('./') || ref.startsWith('data:'));
+}
+
+// Relative link from one exported page to another
+function pageLink(fromFile, toFile) {
+  const rel = path.posix.relative(path.posix.dirname(fromFile), toFile);
+  return rel.split('/').map(encodeURIComponent).join('/');
+}
+
+// Removed tracker tags per page, with totals per pack and per rule
+function buildStripReport(pages) {
+  const byPack = {};
+  const byRule = {};
+  for (const page of pages) {
+    for (const tag of page.stripped || []) {
+      byPack[tag.pack] = (byPack[tag.pack] || 0) + 1;
+      byRule[tag.rule] = (byRule[tag.rule] || 0) + 1;
+    }
+  }
+  return {
+    packs: CONFIG.strip_trackers,
+    customRules: CONFIG.strip_rules,
+    total: Object.values(byPack).reduce((a, b) => a + b, 0),
+    byPack,
+    byRule,
+    pages: pages.map(p => ({
+      url: redactUrl(p.url),
+      file: p.file,
+      removed: (p.stripped || []).map(tag => tag.url ? { ...tag, url: redactUrl(tag.url) } : tag)
+    }))
+  };
+}
+
 function generateExportReport(data) {
   const {
     url, mode, viewportResults, combinedAssets, rewriteMap, 
-    cssFiles, jsFiles, otherFiles, allResources, domAssets
+    cssFiles, jsFiles, otherFiles, allResources, domAssets, nestedAssets = new Set(),
+    downloadStats = {}, authentication, pages = [], cacheStats = null, bundleStats = null, pruneReport = null,
+    stripReport = null
   } = data;
 
   // Count different asset types
@@ -458,7 +1192,7 @@ function generateExportReport(data) {
     .filter(([original, mapped]) => original === mapped && (original.startsWith('http') || original.startsWith('//')  ))
     .map(([url]) => {
       const reason = 'CORS/Network restriction';
-      return { url, reason };
+      return { url: redactUrl(url), reason };
     });
     
   // Network-only assets details  
@@ -475,6 +1209,8 @@ function generateExportReport(data) {
       inlinedAssets,
       blockedAssets,
       networkOnlyAssets,
+      stylesheetAssets: nestedAssets.size,
+      pages: pages.length,
       interactiveElements: interactiveSelectors.length
     },
     viewports: viewportResults.map(r => ({
@@ -482,191 +1218,1001 @@ function generateExportReport(data) {
       size: r.size,
       resourceCount: r.resources.length
     })),
+    pages: pages.map(p => ({
+      url: redactUrl(p.url),
+      file: p.file,
+      depth: p.depth,
+      ...(p.frameOf ? { frameOf: redactUrl(p.frameOf) } : {}),
+      resourceCount: p.resources.size,
+      internalLinksRewritten: p.linksRewritten || 0
+    })),
     assetBreakdown,
+    authentication,
+    downloads: {
+      concurrency: DOWNLOAD_CONCURRENCY,
+      perHostConcurrency: PER_HOST_CONCURRENCY,
+      maxRetries: MAX_RETRIES,
+      retries: downloadStats.retries || 0,
+      failed: downloadStats.failed || 0,
+      fromBrowserSession: downloadStats.fromBrowser || 0,
+      fromNetwork: downloadStats.fromNetwork || 0
+    },
+    cache: cacheStats ? {
+      directory: CONFIG.cache_dir,
+      hits: cacheStats.hits,
+      misses: cacheStats.misses,
+      uncacheable: cacheStats.uncacheable,
+      bytesReused: cacheStats.bytesReused
+    } : null,
+    bundling: bundleStats ? {
+      segments: bundleStats.segments,
+      bundles: bundleStats.bundles,
+      fallbackSegments: bundleStats.fallbacks,
+      jsFilesMinified: bundleStats.jsMinified,
+      cssFilesMinified: bundleStats.cssMinified,
+      bytesBeforeMinify: bundleStats.bytesBefore,
+      bytesAfterMinify: bundleStats.bytesAfter,
+      parseFailures: bundleStats.parseFailures
+    } : null,
+    aggressive: pruneReport ? {
+      status: pruneReport.status,
+      coveragePasses: pruneReport.coveragePasses,
+      scriptsRemoved: pruneReport.status === 'applied' ? pruneReport.scripts.length : 0,
+      cssRulesRemoved: pruneReport.status === 'applied'
+        ? pruneReport.stylesheets.reduce((n, s) => n + s.rulesRemoved, 0) : 0,
+      cssBytesSaved: pruneReport.status === 'applied'
+        ? pruneReport.stylesheets.reduce((n, s) => n + s.bytesBefore - s.bytesAfter, 0) : 0,
+      report: 'prune-report.json'
+    } : null,
+    themeco: pages.some(p => p.themeco) ? {
+      profile: CONFIG.profile,
+      pages: pages.filter(p => p.themeco).map(p => ({ file: p.file, ...p.themeco })),
+      issues: pages.reduce((n, p) => n + (p.themeco?.issues.length || 0), 0)
+    } : null,
+    embeds: pages.some(p => p.embeds?.length) ? {
+      captureFrames: CONFIG.capture_frames,
+      facades: CONFIG.embed_facades,
+      frames: pages.filter(p => p.frameOf).length,
+      pages: pages.filter(p => p.embeds.length).map(p => ({
+        file: p.file,
+        ...(p.frameOf ? { frameOf: redactUrl(p.frameOf) } : {}),
+        embeds: p.embeds.map(e => e.treatment === 'asset'
+          ? { ...e, src: redactUrl(e.src), localized: isLocalRef(rewriteMap.get(e.src)) }
+          : e)
+      }))
+    } : null,
+    forms: pages.some(p => p.forms?.length) ? {
+      endpoint: CONFIG.form_endpoint || null,
+      total: pages.reduce((n, p) => n + p.forms.length, 0),
+      rewritten: pages.reduce((n, p) => n + p.forms.filter(f => f.rewrittenTo).length, 0),
+      pages: pages.filter(p => p.forms.length).map(p => ({
+        file: p.file,
+        forms: p.forms.map(f => ({ ...f, action: f.action && redactUrl(f.action) }))
+      }))
+    } : null,
+    wordpressCleanup: CONFIG.wp_cleanup.length ? {
+      rules: CONFIG.wp_cleanup,
+      changes: pages.reduce((n, p) => n + p.wpCleanup.length, 0),
+      pages: pages.map(p => ({ file: p.file, changes: p.wpCleanup }))
+    } : null,
+    trackers: stripReport ? {
+      packs: stripReport.packs,
+      removedTags: stripReport.total,
+      byPack: stripReport.byPack,
+      report: 'strip-report.json'
+    } : null,
     blockedAssetsList,
     networkOnlyAssetsList,
+    // Original URL -> reference used in the export (compared by diff-exports.js);
+    // inlined assets are recorded as their media type plus a hash
+    rewriteMap: Object.fromEntries(Array.from(rewriteMap, ([original, mapped]) => [
+      redactUrl(original),
+      mapped.startsWith('data:') ? `${mapped.slice(0, mapped.indexOf(','))};sha1=${shortHash(mapped)}` : redactUrl(mapped)
+    ])),
     recommendations: [
       blockedAssets > 0 ? `${blockedAssets} assets remain as remote URLs due to CORS restrictions` : null,
       networkOnlyAssets > 0 ? `${networkOnlyAssets} assets were captured only through network monitoring` : null,
-      inlinedAssets > 0 ? `${inlinedAssets} small assets were inlined as data URIs for better performance` : null
+      inlinedAssets > 0 ? `${inlinedAssets} small assets were inlined as data URIs for better performance` : null,
+      nestedAssets.size > 0 ? `${nestedAssets.size} fonts/images/imports were localized from inside stylesheets` : null,
+      formsToOrigin(pages) > 0 ? `${formsToOrigin(pages)} forms post to the source site and fail offline; set form_endpoint (e.g. /__forms with serve-export.js)` : null,
+      pages.some(p => p.forms?.some(f => f.rewrittenTo && f.nonces.length)) ? 'Rewritten forms carry WordPress nonce fields captured at export time; the real form backend must not require them' : null,
+      pages.some(p => p.themeco?.issues.length) ? 'ThemeCo profile found problems (missing generated CSS, component scripts or half-initialized markup); see themeco.pages' : null,
+      bundleStats?.fallbacks > 0 ? `${bundleStats.fallbacks} script segments were left unbundled because esbuild could not parse them` : null,
+      pruneReport?.status === 'rejected' ? 'Aggressive pruning changed the rendering; add the affected classes to aggressive_safelist or use safe mode' : null
     ].filter(Boolean)
   };
 }
 
+// Download through the asset cache: a stored copy is revalidated with a
+// conditional request and reused on 304; full responses are stored.
+async function downloadCached(assetUrl, ctx) {
+  const options = requestOptions(ctx.session, assetUrl, url);
+  const entry = cachedEntry(CACHE, assetUrl);
+  if (entry) options.headers = { ...options.headers, ...conditionalHeaders(entry) };
+
+  let result = await downloadWithRetry(assetUrl, ctx.stats, options);
+  if (result.status === 304) {
+    const cached = await readCached(CACHE, assetUrl);
+    if (cached) {
+      CACHE.stats.hits++;
+      CACHE.stats.bytesReused += cached.buffer.length;
+      return cached;
+    }
+    // Stored body is gone: ask again without validators
+    result = await downloadWithRetry(assetUrl, ctx.stats, requestOptions(ctx.session, assetUrl, url));
+  }
+  if (CACHE) {
+    CACHE.stats.misses++;
+    await storeInCache(CACHE, assetUrl, result.buffer, result.headers);
+  }
+  return result;
+}
+
+// Bodies captured by the browser count as hits when they were answered from
+// the cache (routeThroughCache), otherwise they refresh it
+async function cacheCaptured(assetUrl, captured) {
+  if (!CACHE) return captured;
+  if (CACHE.served.has(assetUrl)) {
+    CACHE.stats.hits++;
+    CACHE.stats.bytesReused += captured.buffer.length;
+  } else {
+    CACHE.stats.misses++;
+    await storeInCache(CACHE, assetUrl, captured.buffer, captured.headers || {});
+  }
+  return captured;
+}
+
+// Queue the download of an asset in the pool. Each URL is fetched once; the
+// result is kept until saveAsset() stores it.
+function fetchAsset(assetUrl, ctx) {
+  if (!ctx.downloads.has(assetUrl)) {
+    const host = new URL(assetUrl).host;
+    // Prefer the body the browser already received; fall back to axios only
+    // for URLs the browser never loaded
+    const captured = ctx.captured.get(assetUrl);
+    if (captured) ctx.stats.fromBrowser++;
+    else ctx.stats.fromNetwork++;
+    const promise = (captured
+      ? cacheCaptured(assetUrl, captured)
+      : ctx.pool.run(host, () => downloadCached(assetUrl, ctx)))
+      .finally(() => {
+        const { completed, queued } = ctx.stats;
+        ctx.stats.completed = completed + 1;
+        if ((completed + 1) % 10 === 0 || completed + 1 === queued) {
+          console.log(`⬇️ Progress: ${completed + 1}/${queued} downloads finished`);
+        }
+      });
+    promise.catch(() => {}); // failures are reported when the asset is stored
+    ctx.downloads.set(assetUrl, promise);
+    ctx.stats.queued++;
+  }
+  return ctx.downloads.get(assetUrl);
+}
+
+// Store a downloaded asset (inline data URI or file under assets/) and record
+// the mapping. Returns the mapped reference, or the original URL when the
+// download failed so the page keeps working online. Callers store assets in
+// discovery order so rewriteMap and reports do not depend on download timing.
+async function saveAsset(assetUrl, ctx) {
+  if (ctx.rewriteMap.has(assetUrl)) return ctx.rewriteMap.get(assetUrl);
+
+  try {
+    const { buffer, contentType } = await fetchAsset(assetUrl, ctx);
+    const outPath = localAssetPath(assetUrl, contentType);
+    const rel = relFromIndex(assetUrl, contentType);
+
+    // Inline only tiny images (NOT fonts) to avoid font loading/FCP issues
+    if (isLikelyImage(assetUrl) && buffer.length <= SMALL_INLINE_MAX) {
+      ctx.rewriteMap.set(assetUrl, toDataUri(buffer, contentType, 'png'));
+      console.log(`📦 Inlined small image: ${assetUrl} (${buffer.length} bytes)`);
+    } else {
+      // Write to disk (fonts always go here for better performance)
+      await ensureDirAndWrite(outPath, buffer);
+      ctx.rewriteMap.set(assetUrl, rel);
+      ctx.localPaths.set(assetUrl, outPath);
+      // Google Fonts and similar serve CSS without a .css extension
+      if (isLikelyCSS(assetUrl) || /text\/css/i.test(contentType)) {
+        ctx.cssFiles.push(outPath);
+        ctx.stylesheets.set(assetUrl, outPath);
+      }
+      else if (isLikelyJS(assetUrl)) ctx.jsFiles.push(outPath);
+      else ctx.otherFiles.push(outPath);
+      console.log(`💾 Downloaded: ${assetUrl}`);
+    }
+  } catch (e) {
+    // If third-party blocked by CORS/CORP, keep original URL (still works online)
+    ctx.rewriteMap.set(assetUrl, assetUrl);
+    ctx.stats.failed++;
+    const errorType = e.message.includes('CORS') ? 'CORS' :
+                     e.message.includes('CORP') ? 'CORP' : 'Network';
+    console.log(`⚠️ ${errorType} blocked, keeping original URL: ${assetUrl}`);
+  } finally {
+    // release the buffers
+    ctx.downloads.delete(assetUrl);
+    ctx.captured.delete(assetUrl);
+  }
+
+  return ctx.rewriteMap.get(assetUrl);
+}
+
+// Rewrite url()/@import references of a downloaded stylesheet so they point at
+// local copies relative to the stylesheet's own location. Nested stylesheets
+// (@import) are localized recursively.
+async function localizeStylesheet(cssUrl, cssPath, ctx) {
+  if (ctx.localizedStylesheets.has(cssUrl)) return;
+  ctx.localizedStylesheets.add(cssUrl);
+
+  let css;
+  try {
+    css = await fs.readFile(cssPath, 'utf-8');
+  } catch (e) {
+    console.log(`⚠️ Could not read stylesheet: ${cssPath}`);
+    return;
+  }
+
+  // Queue nested downloads up front so they run in parallel; the rewrite below
+  // then stores them in reference order
+  for (const ref of extractCssRefs(css)) {
+    const target = resolveCssRef(cssUrl, ref);
+    if (target && !ctx.rewriteMap.has(target.absUrl)) fetchAsset(target.absUrl, ctx);
+  }
+
+  const rewritten = await rewriteCssRefs(css, async ref => {
+    const target = resolveCssRef(cssUrl, ref);
+    if (!target) return null;
+    const { absUrl, fragment } = target;
+
+    if (!ctx.rewriteMap.has(absUrl)) {
+      ctx.nestedAssets.add(absUrl);
+      await saveAsset(absUrl, ctx);
+    }
+    const mapped = ctx.rewriteMap.get(absUrl);
+
+    // Failed downloads stay remote, but as absolute URLs so they still resolve
+    if (mapped === absUrl) return absUrl + fragment;
+    if (mapped.startsWith('data:')) return mapped;
+
+    if (ctx.stylesheets.has(absUrl)) {
+      await localizeStylesheet(absUrl, ctx.stylesheets.get(absUrl), ctx);
+    }
+    const relPath = path.relative(path.dirname(cssPath), ctx.localPaths.get(absUrl));
+    return toUrlPath(relPath) + fragment;
+  });
+
+  if (rewritten !== css) {
+    await fs.writeFile(cssPath, rewritten, 'utf-8');
+    console.log(`🎨 Localized stylesheet references: ${cssUrl}`);
+  }
+}
+
+// Rewrite url()/@import references of CSS that lives in a page's HTML
+// (<style> blocks, style="" attributes). mapRef(absUrl) returns the page
+// relative reference for a downloaded asset.
+async function rewriteInlineCss(cssText, baseUrl, mapRef) {
+  return rewriteCssRefs(cssText, async ref => {
+    const target = resolveCssRef(baseUrl, ref);
+    if (!target) return null;
+    const mapped = mapRef(target.absUrl);
+    // Unknown or failed assets stay remote as absolute URLs
+    if (!mapped || mapped === target.absUrl) return target.absUrl + target.fragment;
+    if (mapped.startsWith('data:')) return mapped;
+    return mapped + target.fragment;
+  });
+}
+
 // Helper to rewrite URLs and remove integrity when using local assets
-function rewriteTagUrl(el, attrName, baseUrl, rewriteMap) {
+function rewriteTagUrl(el, attrName, baseUrl, mapRef) {
   const val = el.getAttribute(attrName);
   const abs = toAbsolute(baseUrl, val);
-  if (abs && rewriteMap.has(abs)) {
-    const mapped = rewriteMap.get(abs);
+  const mapped = abs && mapRef(abs);
+  if (mapped) {
     el.setAttribute(attrName, mapped);
     // Remove integrity when using local files to avoid SRI failures
-    if (mapped.startsWith('./assets')) {
+    if (mapped !== abs && !mapped.startsWith('data:')) {
       el.removeAttribute('integrity');
     }
   }
 }
 
-async function main() {
-  await fs.emptyDir(DIST_DIR);
-  await fs.ensureDir(ASSETS_DIR);
+function rewriteSrcset(el, baseUrl, mapRef) {
+  const srcset = el.getAttribute('srcset');
+  if (!srcset) return;
+  const out = srcset.split(',').map(part => {
+    const [u, w] = part.trim().split(' ');
+    const a = toAbsolute(baseUrl, u);
+    const mapped = (a && mapRef(a)) || u;
+    return [mapped, w].filter(Boolean).join(' ');
+  }).join(', ');
+  el.setAttribute('srcset', out);
+}
 
-  console.log(`🚀 Starting export of: ${url}`);
-  console.log(`📐 Using responsive breakpoints: XS(375), SM(480), MD(768), LG(980), XL(1366)`);
+// ---- Balanced mode: esbuild minification and ordered script bundles ----
 
-  const browser = await chromium.launch();
-  
-  // Multi-viewport rendering for comprehensive responsive capture
-  const viewportResults = await renderMultiViewport(browser, url);
-  
-  await browser.close();
+const JS_TYPE_RE = /^(text|application)\/(x-)?(javascript|ecmascript)$/;
 
-  // Use the largest viewport (desktop) as base HTML
-  const baseResult = viewportResults.find(r => r.name === 'xl') || viewportResults[viewportResults.length - 1];
-  let baseHTML = baseResult.html;
+// How a <script> executes: 'classic' (parser-blocking), 'defer', 'async',
+// 'module', 'inline', 'nomodule' or 'data' (JSON-LD, templates)
+function scriptKind(el) {
+  const type = (el.getAttribute('type') || '').trim().toLowerCase();
+  if (type === 'module') return 'module';
+  if (type && !JS_TYPE_RE.test(type)) return 'data';
+  if (el.hasAttribute('nomodule')) return 'nomodule';
+  if (!el.hasAttribute('src')) return 'inline';
+  if (el.hasAttribute('async')) return 'async';
+  if (el.hasAttribute('defer')) return 'defer';
+  return 'classic';
+}
 
-  // Collect all resources from all viewports
-  const allResources = new Set();
-  viewportResults.forEach(result => {
-    result.resources.forEach(resource => allResources.add(resource));
-  });
+// Minify a saved JS/CSS file in place with an external source map (once per
+// file). The original code stays available through the map's sourcesContent.
+async function minifyFile(file, loader, sourceUrl, ctx) {
+  if (ctx.minified.has(file)) return ctx.minified.get(file);
 
-  console.log(`📆 Captured ${allResources.size} unique resources across ${viewportResults.length} viewports`);
+  const task = (async () => {
+    const source = await fs.readFile(file, 'utf-8');
+    try {
+      const result = await esbuild.transform(source, {
+        loader,
+        minify: true,
+        sourcemap: 'external',
+        sourcefile: redactUrl(sourceUrl || path.basename(file)),
+        legalComments: 'inline'
+      });
+      const mapName = `${path.basename(file)}.map`;
+      const comment = loader === 'css' ? `/*# sourceMappingURL=${encodeURIComponent(mapName)} */` : `//# sourceMappingURL=${encodeURIComponent(mapName)}`;
+      await fs.writeFile(file, `${result.code}${comment}\n`, 'utf-8');
+      await fs.writeFile(`${file}.map`, result.map, 'utf-8');
+      ctx.bundleStats.bytesBefore += Buffer.byteLength(source);
+      ctx.bundleStats.bytesAfter += Buffer.byteLength(result.code);
+      ctx.bundleStats[loader === 'css' ? 'cssMinified' : 'jsMinified']++;
+      return {
+        code: result.code,
+        map: JSON.parse(result.map),
+        // A leading "use strict" would apply to every file after it in a bundle
+        strict: /^\s*(['"])use strict\1/.test(result.code),
+        // Scripts that locate themselves (currentScript, webpack public path) must keep their URL
+        selfLocating: /currentScript/.test(source)
+      };
+    } catch (e) {
+      ctx.bundleStats.parseFailures.push({ file: path.relative(DIST_DIR, file), error: e.message.split('\n')[0] });
+      return { error: e.message };
+    }
+  })();
 
-  // Union of resources from performance + DOM parsing
-  const { dom, doc, assets: domAssets } = extractDomAssets(url, baseHTML);
-  const combinedAssets = new Set([...domAssets, ...allResources].filter(Boolean));
+  ctx.minified.set(file, task);
+  return task;
+}
 
-  // Remove <base> tags to avoid path confusion
-  doc.querySelectorAll('base').forEach(b => b.remove());
+// Group scripts into segments that can run as one file without changing
+// execution order: parser-blocking scripts that are direct neighbours in the
+// DOM, and runs of defer scripts in their deferred order (broken by modules).
+// Inline scripts and any other markup end a parser-blocking segment.
+function scriptSegments(doc, localScripts) {
+  const segments = [];
+  let classic = [];
+  let deferred = [];
+  const flush = (run) => { if (run.length) segments.push({ kind: run === classic ? 'classic' : 'defer', members: [...run] }); run.length = 0; };
 
-  // Download each asset and rewrite references
-  const cssFiles = [];
-  const jsFiles = [];
-  const otherFiles = [];
+  const adjacent = (prev, el) => {
+    if (prev.parentNode !== el.parentNode) return false;
+    for (let n = prev.nextSibling; n && n !== el; n = n.nextSibling) {
+      if (n.nodeType === 8) continue; // comment
+      if (n.nodeType === 3 && !n.textContent.trim()) continue;
+      return false;
+    }
+    return true;
+  };
 
-  // Map for rewriting
-  const rewriteMap = new Map();
+  for (const el of doc.querySelectorAll('script')) {
+    const kind = scriptKind(el);
+    const file = localScripts.get(el);
 
-  console.log(`⬇️ Downloading ${combinedAssets.size} assets...`);
+    if (kind === 'classic' && file) {
+      if (classic.length && !adjacent(classic[classic.length - 1].el, el)) flush(classic);
+      classic.push({ el, file });
+      continue;
+    }
+    flush(classic);
 
-  for (const assetUrl of combinedAssets) {
-    try {
-      const outPath = localAssetPath(assetUrl);
-      const rel = relFromIndex(assetUrl);
-      const { buffer, contentType } = await download(assetUrl);
-
-      // Inline only tiny images (NOT fonts) to avoid font loading/FCP issues
-      if (isLikelyImage(assetUrl) && buffer.length <= SMALL_INLINE_MAX) {
-        rewriteMap.set(assetUrl, toDataUri(buffer, contentType, 'png'));
-        console.log(`📦 Inlined small image: ${assetUrl} (${buffer.length} bytes)`);
+    if (kind === 'defer' && file) deferred.push({ el, file });
+    else if (kind === 'module' || kind === 'defer') flush(deferred); // shares the deferred queue
+  }
+  flush(classic);
+  flush(deferred);
+  return segments;
+}
+
+// Concatenate minified members into assets/bundles/<hash>.js with an index
+// source map. Returns the bundle path, or null if the bundle does not parse.
+async function writeBundle(members, ctx) {
+  let code = '';
+  let line = 0;
+  const sections = [];
+  for (const { minified } of members) {
+    sections.push({ offset: { line, column: 0 }, map: minified.map });
+    const part = minified.code.endsWith('\n') ? minified.code : `${minified.code}\n`;
+    code += `${part};\n`;
+    line += part.split('\n').length; // part lines + the ";" separator line
+  }
+
+  try {
+    await esbuild.transform(code, { loader: 'js' });
+  } catch (e) {
+    return null;
+  }
+
+  const name = `${shortHash(code)}.js`;
+  const bundlePath = path.join(ASSETS_DIR, 'bundles', name);
+  if (!await fs.pathExists(bundlePath)) {
+    await ensureDirAndWrite(bundlePath, `${code}//# sourceMappingURL=${name}.map\n`);
+    await fs.writeJson(`${bundlePath}.map`, { version: 3, file: name, sections });
+  }
+  return bundlePath;
+}
+
+async function bundlePageScripts(page, localScripts, ctx) {
+  const fileToUrl = new Map(Array.from(ctx.localPaths, ([u, f]) => [f, u]));
+  const segments = scriptSegments(page.doc, localScripts);
+  let bundled = 0;
+
+  for (const segment of segments) {
+    ctx.bundleStats.segments++;
+    for (const member of segment.members) {
+      member.minified = await minifyFile(member.file, 'js', fileToUrl.get(member.file), ctx);
+    }
+
+    // Per-segment fallback: a file esbuild cannot parse keeps the whole segment as is
+    if (segment.members.some(m => m.minified.error)) {
+      ctx.bundleStats.fallbacks++;
+      continue;
+    }
+    if (segment.members.length < 2) continue;
+
+    // Split around files that must not be concatenated
+    const runs = [];
+    let run = [];
+    for (const member of segment.members) {
+      if (member.minified.strict || member.minified.selfLocating) {
+        runs.push(run, [member]);
+        run = [];
       } else {
-        // Write to disk (fonts always go here for better performance)
-        await ensureDirAndWrite(outPath, buffer);
-        rewriteMap.set(assetUrl, rel);
-        if (isLikelyCSS(assetUrl)) cssFiles.push(outPath);
-        else if (isLikelyJS(assetUrl)) jsFiles.push(outPath);
-        else otherFiles.push(outPath);
-        console.log(`💾 Downloaded: ${assetUrl}`);
+        run.push(member);
       }
-    } catch (e) {
-      // If third-party blocked by CORS/CORP, keep original URL (still works online)
-      rewriteMap.set(assetUrl, assetUrl);
-      const errorType = e.message.includes('CORS') ? 'CORS' : 
-                       e.message.includes('CORP') ? 'CORP' : 'Network';
-      console.log(`⚠️ ${errorType} blocked, keeping original URL: ${assetUrl}`);
+    }
+    runs.push(run);
+
+    for (const members of runs.filter(r => r.length > 1)) {
+      const bundlePath = await writeBundle(members, ctx);
+      if (!bundlePath) {
+        ctx.bundleStats.fallbacks++;
+        continue;
+      }
+      // The bundle takes the first script's place (and attributes)
+      const [first, ...rest] = members;
+      first.el.setAttribute('src', toPageRef(`./${toUrlPath(path.relative(DIST_DIR, bundlePath))}`, page.file));
+      rest.forEach(m => m.el.remove());
+      ctx.bundleStats.bundles++;
+      bundled += members.length;
     }
   }
 
+  // Scripts outside any segment (async, modules) are still minified
+  for (const [el, file] of localScripts) {
+    if (el.isConnected && ['async', 'module', 'nomodule'].includes(scriptKind(el))) {
+      await minifyFile(file, 'js', fileToUrl.get(file), ctx);
+    }
+  }
+
+  if (bundled) console.log(`📦 Bundled ${bundled} scripts into ordered segments (${page.file})`);
+}
+
+// Balanced mode: minify every saved stylesheet (after url() localization)
+async function minifyStylesheets(ctx) {
+  for (const [cssUrl, cssPath] of ctx.stylesheets) {
+    await minifyFile(cssPath, 'css', cssUrl, ctx);
+  }
+}
+
+// CSS a page ends up with: every exported stylesheet plus its <style> blocks
+async function exportedCssText(doc, ctx) {
+  if (ctx.stylesheetText === undefined) {
+    const texts = await Promise.all(Array.from(ctx.stylesheets.values(), file => fs.readFile(file, 'utf8').catch(() => '')));
+    ctx.stylesheetText = texts.join('\n');
+  }
+  return [ctx.stylesheetText, ...Array.from(doc.querySelectorAll('style'), st => st.textContent)].join('\n');
+}
+
+// Rewrite asset references, inline CSS and links between exported pages in
+// page.doc, then bundle scripts in balanced mode.
+async function rewritePage(page, ctx, pageFiles) {
+  const { doc, url: pageUrl, file: pageFile } = page;
+  const { rewriteMap } = ctx;
+  const mapRef = abs => rewriteMap.has(abs) ? toPageRef(rewriteMap.get(abs), pageFile) : undefined;
+
   // Rewrite DOM references using helper function to handle integrity removal
   // stylesheets and preload links
   doc.querySelectorAll('link[rel="stylesheet"], link[rel="preload"], link[rel="modulepreload"], link[rel="prefetch"]').forEach(l => {
-    rewriteTagUrl(l, 'href', url, rewriteMap);
+    rewriteTagUrl(l, 'href', pageUrl, mapRef);
   });
-  // scripts
+  // scripts (local files are remembered for balanced-mode bundling)
+  const localScripts = new Map(); // <script> -> file on disk
   doc.querySelectorAll('script[src]').forEach(s => {
-    rewriteTagUrl(s, 'src', url, rewriteMap);
+    const abs = toAbsolute(pageUrl, s.getAttribute('src'));
+    if (abs && ctx.localPaths.has(abs) && isLikelyJS(ctx.localPaths.get(abs))) {
+      localScripts.set(s, ctx.localPaths.get(abs));
+    }
+    rewriteTagUrl(s, 'src', pageUrl, mapRef);
   });
   // images
   doc.querySelectorAll('img').forEach(img => {
     const src = img.getAttribute('src') || img.getAttribute('data-src');
-    const abs = toAbsolute(url, src);
-    if (abs && rewriteMap.has(abs)) img.setAttribute('src', rewriteMap.get(abs));
-    const srcset = img.getAttribute('srcset');
-    if (srcset) {
-      const out = srcset.split(',').map(part => {
-        const [u, w] = part.trim().split(' ');
-        const a = toAbsolute(url, u);
-        const mapped = a && rewriteMap.has(a) ? rewriteMap.get(a) : u;
-        return [mapped, w].filter(Boolean).join(' ');
-      }).join(', ');
-      img.setAttribute('srcset', out);
-    }
+    const abs = toAbsolute(pageUrl, src);
+    const mapped = abs && mapRef(abs);
+    if (mapped) img.setAttribute('src', mapped);
+    rewriteSrcset(img, pageUrl, mapRef);
   });
   // media elements and <source> with srcset support
   doc.querySelectorAll('video, audio, source').forEach(el => {
-    rewriteTagUrl(el, 'src', url, rewriteMap);
-    // Handle srcset in <source> elements
-    const srcset = el.getAttribute('srcset');
-    if (srcset) {
-      const out = srcset.split(',').map(part => {
-        const [u, w] = part.trim().split(' ');
-        const a = toAbsolute(url, u);
-        const mapped = a && rewriteMap.has(a) ? rewriteMap.get(a) : u;
-        return [mapped, w].filter(Boolean).join(' ');
-      }).join(', ');
-      el.setAttribute('srcset', out);
-    }
+    rewriteTagUrl(el, 'src', pageUrl, mapRef);
+    rewriteSrcset(el, pageUrl, mapRef);
   });
+  // <object>/<embed> files (PDF, SVG, media)
+  doc.querySelectorAll('object[data]').forEach(el => rewriteTagUrl(el, 'data', pageUrl, mapRef));
+  doc.querySelectorAll('embed[src]').forEach(el => rewriteTagUrl(el, 'src', pageUrl, mapRef));
+  // Facades: the poster is a local screenshot or the downloaded thumbnail
+  for (const entry of page.embeds || []) {
+    if (!entry.facade) continue;
+    const { iframe, embed, posterFile, thumbnail } = entry.facade;
+    const poster = posterFile ? toPageRef(posterFile, pageFile) : thumbnail ? mapRef(thumbnail) || thumbnail : null;
+    applyFacade(iframe, embed, poster);
+  }
 
-  // Optional: JS bundling in balanced mode (keeps all scripts)
-  if (MODE === 'balanced' && jsFiles.length) {
-    console.log(`📦 Bundling ${jsFiles.length} JavaScript files in balanced mode...`);
-    
+  // inline <style> blocks and style="" attributes
+  for (const st of doc.querySelectorAll('style')) {
+    st.textContent = await rewriteInlineCss(st.textContent || '', pageUrl, mapRef);
+  }
+  for (const el of doc.querySelectorAll('[style]')) {
+    el.setAttribute('style', await rewriteInlineCss(el.getAttribute('style') || '', pageUrl, mapRef));
+  }
+
+  // Links between exported pages become relative local paths
+  let linksRewritten = 0;
+  doc.querySelectorAll('a[href]').forEach(a => {
+    const href = a.getAttribute('href');
+    if (!href || href.startsWith('#')) return;
+    let target;
+    try { target = new URL(href, pageUrl); } catch { return; }
+    const fragment = target.hash;
+    target.hash = '';
+    const targetFile = pageFiles.get(target.toString());
+    if (!targetFile) return;
+    a.setAttribute('href', pageLink(pageFile, targetFile) + fragment);
+    linksRewritten++;
+  });
+  page.linksRewritten = linksRewritten;
+
+  // ThemeCo profile: localize data-x-* assets, then check the page as exported
+  // (before bundling, while script paths still show where they came from)
+  if (page.themeco) {
+    page.themeco.dataXAssets = rewriteDataXUrls(doc, pageUrl, mapRef);
+    Object.assign(page.themeco, verifyThemeCo(doc, await exportedCssText(doc, ctx)));
+  }
+
+  // Balanced mode: ordered bundles of the page's scripts (keeps all scripts)
+  if (MODE === 'balanced' && localScripts.size) {
+    await bundlePageScripts(page, localScripts, ctx);
+  }
+}
+
+// ---- Aggressive mode: coverage-based pruning verified by screenshots ----
+
+const MIME_BY_EXT = Object.fromEntries(
+  Object.entries(CONTENT_TYPE_EXT).reverse().map(([type, ext]) => [ext, type])
+);
+
+// Minimal static server for screenshotting the export
+function serveDirectory(dir) {
+  const root = path.resolve(dir);
+  const server = http.createServer(async (req, res) => {
+    let filePath;
+    try {
+      let pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+      if (pathname.endsWith('/')) pathname += pathname === '/' ? outFileName : 'index.html';
+      filePath = path.join(root, pathname);
+    } catch {
+      filePath = null;
+    }
+    if (!filePath || !filePath.startsWith(root)) {
+      res.writeHead(400);
+      return res.end();
+    }
     try {
-      // Simple concatenation approach for better compatibility
-      const bundleContent = [];
-      for (const jsFile of jsFiles) {
+      const data = await fs.readFile(filePath);
+      res.writeHead(200, { 'Content-Type': MIME_BY_EXT[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+      res.end(data);
+    } catch {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Full-page screenshot of every exported page at every breakpoint
+async function screenshotExport(browser, origin, pages) {
+  const shots = new Map(); // "<file>@<label>" -> PNG
+  for (const page of pages) {
+    for (const { label, width, height } of VIEWPORTS) {
+      const context = await browser.newContext({ viewport: { width, height } });
+      try {
+        const tab = await context.newPage();
+        await tab.goto(`${origin}/${toUrlPath(page.file)}`, {
+          waitUntil: 'networkidle',
+          timeout: CONFIG.timeout_sec * 1000
+        }).catch(() => {});
+        await tab.evaluate(() => document.fonts && document.fonts.ready).catch(() => {});
+        shots.set(`${page.file}@${label}`, await tab.screenshot({ fullPage: true, animations: 'disabled', caret: 'hide' }));
+      } finally {
+        await context.close().catch(() => {});
+      }
+    }
+  }
+  return shots;
+}
+
+// Work out what coverage allows to drop: <script src> tags whose script never
+// ran in any pass, and CSS rules that never matched and are not safelisted
+async function planAggressivePrune(pages, ctx) {
+  const fileToUrl = new Map(Array.from(ctx.localPaths, ([assetUrl, file]) => [path.resolve(file), assetUrl]));
+  const plan = { pages: [], scripts: new Map(), stylesheets: [], skippedStylesheets: [] };
+
+  for (const page of pages) {
+    const htmlPath = path.join(DIST_DIR, page.file);
+    const before = await fs.readFile(htmlPath, 'utf-8');
+    const dom = new JSDOM(before);
+    let removed = 0;
+
+    dom.window.document.querySelectorAll('script[src]').forEach(el => {
+      if (el.hasAttribute('nomodule')) return;
+      const type = (el.getAttribute('type') || '').trim().toLowerCase();
+      if (type && !/^(module|(text|application)\/(javascript|ecmascript))$/.test(type)) return;
+
+      const src = el.getAttribute('src');
+      let sourceUrl = null;
+      let file = null;
+      if (/^https?:\/\//i.test(src)) {
+        sourceUrl = src; // download failed: still the original URL
+      } else if (!src.startsWith('data:')) {
         try {
-          const content = await fs.readFile(jsFile, 'utf-8');
-          bundleContent.push(`\n// === ${path.basename(jsFile)} ===\n`);
-          bundleContent.push(content);
-          bundleContent.push('\n');
-        } catch (e) {
-          console.log(`⚠️ Skipping JS file: ${jsFile}`);
+          file = path.resolve(DIST_DIR, path.dirname(page.file), decodeURIComponent(src.split(/[?#]/)[0]));
+        } catch {
+          return;
         }
+        sourceUrl = fileToUrl.get(file);
       }
-      
-      const bundledJs = bundleContent.join('');
-      const bundlePath = path.join(ASSETS_DIR, 'app.bundle.js');
-      await fs.writeFile(bundlePath, bundledJs, 'utf-8');
-      
-      // Remove original <script src> tags and append one tag to bundle
-      doc.querySelectorAll('script[src]').forEach(s => s.remove());
-      const tag = doc.createElement('script');
-      tag.setAttribute('src', './assets/app.bundle.js');
-      doc.body.appendChild(tag);
-      
-      console.log(`✨ Successfully bundled ${jsFiles.length} JavaScript files`);
-    } catch (e) {
-      console.log(`⚠️ JS bundling failed, keeping individual files: ${e.message}`);
-      // Keep original script tags if bundling fails
+      if (!sourceUrl || wasExecuted(COVERAGE, sourceUrl)) return;
+
+      el.remove();
+      removed++;
+      const entry = plan.scripts.get(sourceUrl) || { url: sourceUrl, file, pages: [] };
+      entry.pages.push(page.file);
+      plan.scripts.set(sourceUrl, entry);
+    });
+
+    if (removed) {
+      plan.pages.push({ file: htmlPath, before, after: '<!doctype html>\n' + dom.window.document.documentElement.outerHTML });
+    }
+  }
+
+  const safelist = compileSafelist(CONFIG.aggressive_safelist);
+  for (const [cssUrl, cssPath] of ctx.stylesheets) {
+    const coverage = COVERAGE.styles.get(cssUrl);
+    const skip = reason => plan.skippedStylesheets.push({ url: redactUrl(cssUrl), file: path.relative(DIST_DIR, cssPath), reason });
+    if (!coverage) { skip('no coverage recorded (stylesheet never applied)'); continue; }
+    if (coverage.unstable) { skip('server returned different CSS between passes'); continue; }
+
+    const before = await fs.readFile(cssPath, 'utf-8');
+    const result = pruneStylesheet(before, coverage.text, coverage.ranges, safelist);
+    if (result.error) { skip(result.error); continue; }
+    if (result.removed.length === 0) continue;
+
+    plan.stylesheets.push({
+      url: cssUrl, file: cssPath, before, after: result.css,
+      removed: result.removed, safelisted: result.kept.safelisted
+    });
+  }
+
+  return plan;
+}
+
+// Apply the plan, then compare screenshots of the export before and after.
+// Any difference above aggressive_max_diff rolls every change back.
+async function runAggressivePrune(pages, ctx) {
+  const report = {
+    status: 'skipped',
+    coveragePasses: COVERAGE.passes,
+    safelist: CONFIG.aggressive_safelist,
+    maxDiffRatio: CONFIG.aggressive_max_diff,
+    scripts: [],
+    stylesheets: [],
+    skippedStylesheets: [],
+    verification: []
+  };
+
+  if (COVERAGE.incomplete) {
+    report.reason = 'coverage missing for at least one render pass';
+    console.log(`⚠️ Aggressive pruning skipped: ${report.reason}`);
+    return report;
+  }
+
+  console.log(`✂️ Planning aggressive pruning from ${COVERAGE.passes} coverage passes...`);
+  const plan = await planAggressivePrune(pages, ctx);
+  report.skippedStylesheets = plan.skippedStylesheets;
+  const reason = `never executed in ${COVERAGE.passes} render passes (all breakpoints and interactions)`;
+  report.scripts = Array.from(plan.scripts.values(), s => ({
+    url: redactUrl(s.url),
+    file: s.file ? path.relative(DIST_DIR, s.file) : null,
+    bytes: s.file ? fs.statSync(s.file).size : 0,
+    pages: s.pages,
+    reason
+  }));
+  report.stylesheets = plan.stylesheets.map(s => ({
+    url: redactUrl(s.url),
+    file: path.relative(DIST_DIR, s.file),
+    bytesBefore: Buffer.byteLength(s.before),
+    bytesAfter: Buffer.byteLength(s.after),
+    rulesRemoved: s.removed.length,
+    rulesKeptBySafelist: s.safelisted,
+    reason: `rules never matched in ${COVERAGE.passes} render passes and not safelisted`,
+    removedSelectors: s.removed
+  }));
+
+  if (plan.pages.length === 0 && plan.stylesheets.length === 0) {
+    report.status = 'nothing-to-prune';
+    console.log('✂️ Coverage found nothing to prune');
+    return report;
+  }
+
+  const { server, origin } = await serveDirectory(DIST_DIR);
+  const browser = await chromium.launch();
+  const changed = [...plan.pages, ...plan.stylesheets];
+  try {
+    console.log(`📸 Capturing pre-prune screenshots (${pages.length} pages x ${VIEWPORTS.length} breakpoints)...`);
+    const beforeShots = await screenshotExport(browser, origin, pages);
+
+    for (const { file, after } of changed) await fs.writeFile(file, after, 'utf-8');
+
+    console.log('📸 Capturing post-prune screenshots...');
+    const afterShots = await screenshotExport(browser, origin, pages);
+
+    for (const [key, beforePng] of beforeShots) {
+      const [file, viewport] = key.split('@');
+      const diff = compareScreenshots(beforePng, afterShots.get(key));
+      report.verification.push({
+        page: file,
+        viewport,
+        sizeMatch: diff.sizeMatch,
+        diffPixels: diff.diffPixels,
+        diffRatio: Number(diff.diffRatio.toFixed(6)),
+        passed: diff.diffRatio <= CONFIG.aggressive_max_diff
+      });
     }
+  } catch (e) {
+    report.verification.push({ error: e.message, passed: false });
+  } finally {
+    await browser.close().catch(() => {});
+    server.close();
   }
 
-  // Write final HTML
-  const finalHTML = '<!doctype html>\n' + doc.documentElement.outerHTML;
-  await fs.writeFile(path.join(DIST_DIR, outFileName), finalHTML, 'utf-8');
+  if (report.verification.every(v => v.passed)) {
+    // Scripts are dropped everywhere, so their files are unreferenced now
+    for (const s of plan.scripts.values()) {
+      if (s.file) await fs.remove(s.file);
+    }
+    report.status = 'applied';
+    console.log(`✂️ Pruned ${report.scripts.length} scripts and ${report.stylesheets.reduce((n, s) => n + s.rulesRemoved, 0)} CSS rules; screenshots unchanged`);
+  } else {
+    for (const { file, before } of changed) await fs.writeFile(file, before, 'utf-8');
+    report.status = 'rejected';
+    report.reason = 'post-prune screenshots differ from pre-prune screenshots';
+  }
+  return report;
+}
+
+async function main() {
+  await fs.emptyDir(DIST_DIR);
+  await fs.ensureDir(ASSETS_DIR);
+
+  console.log(`🚀 Starting export of: ${redactUrl(url)}`);
+  console.log(`📐 Using responsive breakpoints: ${VIEWPORTS.map(v => `${v.label.toUpperCase()}(${v.width})`).join(', ')}`);
+
+  const browser = await chromium.launch();
+
+  // Credentials (basic auth, headers, cookies, wp-login.php) shared by the
+  // browser pass and the asset downloader
+  let session;
+  try {
+    session = await prepareSession(browser, url, AUTH);
+  } catch (e) {
+    await browser.close();
+    throw e;
+  }
+  if (hasAuth(AUTH)) console.log('🔐 Using authenticated session for rendering and downloads');
+  
+  // Multi-viewport rendering for comprehensive responsive capture; response
+  // bodies seen by the browser are kept as the primary asset source
+  const capturedResponses = new Map();
+  const startUrl = normalizePageUrl(url);
+  let pages;
+  try {
+    pages = CRAWL
+      ? await crawlSite(browser, startUrl, capturedResponses, session)
+      : [{ ...(await renderPage(browser, startUrl, capturedResponses, session)), depth: 0 }];
+    if (CONFIG.capture_frames) await captureFrames(browser, pages, capturedResponses, session);
+    mergeFrameResources(pages);
+  } finally {
+    await browser.close();
+  }
+  console.log(`🧲 Kept ${capturedResponses.size} response bodies from the browser session`);
+
+  const viewportResults = pages[0].viewportResults;
+  assignPageFiles(pages);
+  const pageFiles = new Map(pages.map(p => [p.url, p.file]));
+
+  // Collect all resources from all viewports (and pages)
+  const allResources = new Set();
+  pages.forEach(page => page.resources.forEach(resource => allResources.add(resource)));
+  if (STRIP_RULES) {
+    for (const resource of allResources) {
+      if (matchDomainRule(resource, STRIP_RULES)) allResources.delete(resource);
+    }
+  }
+
+  console.log(`📆 Captured ${allResources.size} unique resources across ${viewportResults.length} viewports${pages.length > 1 ? ` and ${pages.length} pages` : ''}`);
+
+  // Union of resources from performance + DOM parsing; assets shared between
+  // pages are downloaded and stored once
+  const domAssetSet = new Set();
+  for (const page of pages) {
+    const { doc, assets } = extractDomAssets(page.url, page.html, d => preparePage(page, d, pageFiles));
+    if (page.themeco) dataXAssetUrls(doc, page.url).forEach(a => domAssetSet.add(a));
+    for (const entry of page.embeds) {
+      if (entry.facade?.thumbnail) domAssetSet.add(entry.facade.thumbnail);
+    }
+    for (const { file, buffer } of page.posterFiles) {
+      await ensureDirAndWrite(path.join(DIST_DIR, file), buffer);
+    }
+    page.posters = null;
+    // Remove <base> tags to avoid path confusion
+    doc.querySelectorAll('base').forEach(b => b.remove());
+    page.doc = doc;
+    assets.forEach(a => domAssetSet.add(a));
+  }
+  const domAssets = Array.from(domAssetSet);
+  if (CONFIG.wp_cleanup.length) {
+    const changes = pages.reduce((n, p) => n + p.wpCleanup.length, 0);
+    console.log(`🧽 WordPress cleanup (${CONFIG.wp_cleanup.join(', ')}): ${changes} changes`);
+  }
+  const embeds = pages.flatMap(p => p.embeds);
+  if (embeds.length) {
+    const count = treatment => embeds.filter(e => e.treatment === treatment).length;
+    console.log(`🧩 Embeds: ${count('frame')} local frames, ${count('facade')} facades, ${count('asset')} object/embed files, ${count('remote')} remote`);
+  }
+  const forms = pages.flatMap(p => p.forms);
+  if (forms.length) {
+    const toOrigin = forms.filter(f => f.target === 'origin' && f.plugin !== 'search');
+    const rewritten = forms.filter(f => f.rewrittenTo).length;
+    console.log(`📝 Found ${forms.length} forms (${[...new Set(forms.map(f => f.plugin))].join(', ')})${CONFIG.form_endpoint ? `, ${rewritten} now post to ${CONFIG.form_endpoint}` : ''}`);
+    if (toOrigin.length && !CONFIG.form_endpoint) {
+      console.log(`⚠️ ${toOrigin.length} forms post to the source site; use --form-endpoint to test them offline`);
+    }
+  }
+  let stripReport = null;
+  if (STRIP_RULES) {
+    stripReport = buildStripReport(pages);
+    await fs.writeJson(path.join(DIST_DIR, 'strip-report.json'), stripReport, { spaces: 2 });
+    console.log(`🧹 Stripped ${stripReport.total} tracker tags (${Object.entries(stripReport.byPack).map(([k, v]) => `${k}: ${v}`).join(', ') || 'none found'})`);
+  }
+  const combinedAssets = new Set([...domAssets, ...allResources].filter(Boolean));
+
+  // Download each asset and rewrite references
+  const cssFiles = [];
+  const jsFiles = [];
+  const otherFiles = [];
+
+  // Map for rewriting
+  const rewriteMap = new Map();
+
+  const assetCtx = {
+    rewriteMap,
+    cssFiles,
+    jsFiles,
+    otherFiles,
+    localPaths: new Map(),           // asset URL -> file on disk
+    stylesheets: new Map(),          // stylesheet URL -> file on disk
+    stylesheetText: undefined,       // all exported CSS, read once for the ThemeCo checks
+    localizedStylesheets: new Set(),
+    nestedAssets: new Set(),         // assets discovered only inside stylesheets
+    pool: createDownloadPool(DOWNLOAD_CONCURRENCY, PER_HOST_CONCURRENCY),
+    downloads: new Map(),            // asset URL -> pending download
+    captured: capturedResponses,     // asset URL -> body captured by Playwright
+    session,
+    stats: { queued: 0, completed: 0, retries: 0, failed: 0, fromBrowser: 0, fromNetwork: 0 },
+    minified: new Map(),             // file -> minification result (balanced mode)
+    bundleStats: {
+      segments: 0, bundles: 0, fallbacks: 0, jsMinified: 0, cssMinified: 0,
+      bytesBefore: 0, bytesAfter: 0, parseFailures: []
+    }
+  };
+
+  console.log(`⬇️ Downloading ${combinedAssets.size} assets (concurrency ${DOWNLOAD_CONCURRENCY}, ${PER_HOST_CONCURRENCY} per host)...`);
+
+  // Start every download, then store results in discovery order
+  for (const assetUrl of combinedAssets) fetchAsset(assetUrl, assetCtx);
+  for (const assetUrl of combinedAssets) {
+    await saveAsset(assetUrl, assetCtx);
+  }
+
+  // Localize url()/@import references inside every saved stylesheet
+  console.log(`🎨 Localizing references in ${assetCtx.stylesheets.size} stylesheets...`);
+  for (const [cssUrl, cssPath] of Array.from(assetCtx.stylesheets)) {
+    await localizeStylesheet(cssUrl, cssPath, assetCtx);
+  }
+  assetCtx.nestedAssets.forEach(a => combinedAssets.add(a));
+  if (assetCtx.nestedAssets.size) {
+    console.log(`🔗 Downloaded ${assetCtx.nestedAssets.size} assets referenced from stylesheets`);
+  }
+  if (CACHE) {
+    await saveAssetCache(CACHE);
+    const { hits, misses, bytesReused } = CACHE.stats;
+    console.log(`🗄️ Asset cache: ${hits} hits, ${misses} misses (${(bytesReused / 1024).toFixed(1)} KB reused)`);
+  }
+  if (MODE === 'balanced') {
+    console.log(`🗜️ Minifying ${assetCtx.stylesheets.size} stylesheets...`);
+    await minifyStylesheets(assetCtx);
+  }
+
+  // Rewrite and write every page
+  for (const page of pages) {
+    await rewritePage(page, assetCtx, pageFiles);
+    const finalHTML = '<!doctype html>\n' + page.doc.documentElement.outerHTML;
+    await ensureDirAndWrite(path.join(DIST_DIR, page.file), finalHTML);
+    if (pages.length > 1) console.log(`📄 Wrote ${page.file} (${page.linksRewritten} internal links rewritten)`);
+    page.doc = null;
+    page.html = null;
+  }
+  const themecoPages = pages.filter(p => p.themeco);
+  if (themecoPages.length) {
+    console.log(`🎨 ThemeCo profile applied to ${themecoPages.length} page(s)`);
+    for (const page of themecoPages) {
+      const { restoredElements, artifactsRemoved, issues } = page.themeco;
+      if (restoredElements || artifactsRemoved.length) {
+        console.log(`   ${page.file}: ${restoredElements} components reset, ${artifactsRemoved.length} admin/preview artifacts removed`);
+      }
+      issues.forEach(issue => console.log(`⚠️ ${page.file}: ${issue}`));
+    }
+  }
+
+  // Aggressive mode: drop never-executed scripts and unused CSS rules, but only
+  // when screenshots of the export stay identical
+  let pruneReport = null;
+  if (COVERAGE) {
+    pruneReport = await runAggressivePrune(pages, assetCtx);
+    await fs.writeJson(path.join(DIST_DIR, 'prune-report.json'), pruneReport, { spaces: 2 });
+  }
 
   // Enhanced manifest with viewport information
   await fs.writeJson(path.join(DIST_DIR, 'manifest.json'), {
-    sourceUrl: url,
+    sourceUrl: redactUrl(url),
     mode: MODE,
     viewports: viewportResults.map(r => ({ 
       name: r.name, 
       size: r.size, 
       resourceCount: r.resources.length 
     })),
+    pages: pages.map(p => ({ url: redactUrl(p.url), file: p.file, depth: p.depth, ...(p.frameOf ? { frameOf: redactUrl(p.frameOf) } : {}) })),
     totalAssets: combinedAssets.size,
     inlinedAssets: Array.from(rewriteMap.entries()).filter(([, v]) => v.startsWith('data:')).length,
     note: "Safe Mirror export with multi-viewport responsive asset capture. Third-party blocked downloads keep original remote URLs.",
@@ -675,16 +2221,24 @@ async function main() {
 
   // Generate comprehensive export report
   const report = generateExportReport({
-    url,
+    url: redactUrl(url),
     mode: MODE,
     viewportResults,
+    pages,
     combinedAssets,
     rewriteMap,
     cssFiles,
     jsFiles,
     otherFiles,
-    allResources,
-    domAssets
+    allResources: Array.from(allResources, redactUrl),
+    domAssets: domAssets.map(redactUrl),
+    nestedAssets: assetCtx.nestedAssets,
+    authentication: describeAuth(session),
+    downloadStats: assetCtx.stats,
+    cacheStats: CACHE ? CACHE.stats : null,
+    bundleStats: MODE === 'balanced' ? assetCtx.bundleStats : null,
+    pruneReport,
+    stripReport
   });
   
   // Write detailed report to file
@@ -694,6 +2248,7 @@ async function main() {
   console.log(`\n📋 Export Report:`);
   console.log(`✅ Export complete → ${path.join(DIST_DIR, outFileName)} (mode=${MODE})`);
   console.log(`📱 Responsive viewports tested: ${viewportResults.length}`);
+  if (pages.length > 1) console.log(`🕸️  Pages exported: ${pages.length}`);
   console.log(`💾 Total assets downloaded: ${combinedAssets.size}`);
   console.log(`📦 Assets inlined as data URIs: ${report.summary.inlinedAssets}`);
   console.log(`⚠️  CORS/blocked assets: ${report.summary.blockedAssets}`);
@@ -709,6 +2264,11 @@ async function main() {
     console.log(`\n💡 Recommendations:`);
     report.recommendations.forEach(rec => console.log(`   • ${rec}`));
   }
+
+  if (pruneReport?.status === 'rejected') {
+    console.error(`\n❌ Aggressive pruning refused: ${pruneReport.reason}. The unpruned export was kept; see prune-report.json`);
+    process.exitCode = 1;
+  }
 }
 
 main().catch(err => {
@@ -0,0 +1,110 @@
+/**
+ * Form detection and action rewriting for exported pages.
+ *
+ * WordPress form plugins post to the page itself, admin-ajax.php or the REST
+ * API of the source site, which a static copy cannot answer. detectForms()
+ * lists every form with the plugin that built it, where it posts and the
+ * nonce fields it depends on; rewriteForms() points the ones that post to the
+ * source site at a configurable endpoint (serve-export.js captures
+ * submissions at FORM_CAPTURE_PATH).
+ */
+
+export const FORM_CAPTURE_PATH = '/__forms';
+
+// plugin → how its forms are recognized and which hidden field holds the form id
+const FORM_PLUGINS = [
+  { plugin: 'contact-form-7', match: '.wpcf7 form, form.wpcf7-form', idField: '_wpcf7' },
+  { plugin: 'gravity-forms', match: 'form[id^="gform_"], .gform_wrapper form', idField: 'gform_submit' },
+  { plugin: 'themeco', match: 'form.x-form, form[class*="x-form-"], [data-x-element*="form"] form, form[data-x-element*="form"]', idField: null },
+  { plugin: 'wpforms', match: 'form.wpforms-form', idField: 'wpforms[id]' },
+  { plugin: 'elementor', match: 'form.elementor-form', idField: 'form_id' },
+  { plugin: 'search', match: 'form[role="search"], form.search-form, form:has(input[name="s"])', idField: null }
+];
+
+const NONCE_FIELD = /nonce|^_wpcf7_unit_tag$|^state_\d+$/i;
+
+/**
+ * Every <form> in doc: [{ index, id, plugin, method, action, target, ajax,
+ * fields, required, nonces }]. Each entry keeps its element in the
+ * non-enumerable `form` property.
+ */
+export function detectForms(doc, pageUrl) {
+  const pageOrigin = new URL(pageUrl).origin;
+  return Array.from(doc.querySelectorAll('form'), (form, index) => {
+    const { plugin, idField } = FORM_PLUGINS.find(p => matches(form, p.match)) || { plugin: 'html', idField: null };
+    const rawAction = form.getAttribute('action');
+    let action;
+    try { action = new URL(rawAction || '', pageUrl).toString(); } catch { action = rawAction; }
+    const inputs = Array.from(form.querySelectorAll('input[name], select[name], textarea[name]'));
+    const hidden = inputs.filter(i => (i.getAttribute('type') || '').toLowerCase() === 'hidden');
+
+    const entry = {
+      index,
+      id: form.id || (idField && form.querySelector(`[name="${idField}"]`)?.getAttribute('value')) || null,
+      plugin,
+      method: (form.getAttribute('method') || 'get').toLowerCase(),
+      action,
+      target: targetOf(action, pageOrigin),
+      ajax: plugin === 'contact-form-7' || /admin-ajax\.php/.test(action || '') ||
+        form.querySelector('input[name^="gform_ajax"]') !== null || form.hasAttribute('data-ajax'),
+      fields: unique(inputs.filter(i => !hidden.includes(i)).map(i => i.getAttribute('name'))),
+      required: unique(inputs.filter(i => i.hasAttribute('required') || i.getAttribute('aria-required') === 'true')
+        .map(i => i.getAttribute('name'))),
+      nonces: unique(hidden.map(i => i.getAttribute('name')).filter(name => NONCE_FIELD.test(name)))
+    };
+    Object.defineProperty(entry, 'form', { value: form });
+    return entry;
+  });
+}
+
+/**
+ * Point forms that post to the source site (page, admin-ajax.php, REST) at
+ * endpoint; search forms and third-party actions are left alone. The original
+ * action is kept in data-export-original-action.
+ * Contact Form 7 submits through its REST root, which is rewritten as well.
+ * Returns the number of rewritten forms.
+ */
+export function rewriteForms(doc, forms, endpoint) {
+  let rewritten = 0;
+  for (const entry of forms) {
+    if (entry.target !== 'origin' || entry.plugin === 'search') continue;
+    const { form } = entry;
+    form.setAttribute('data-export-original-action', form.getAttribute('action') ?? '');
+    form.setAttribute('action', endpoint);
+    entry.rewrittenTo = endpoint;
+    rewritten++;
+  }
+
+  if (forms.some(f => f.plugin === 'contact-form-7' && f.rewrittenTo)) {
+    const root = `${endpoint.replace(/\/$/, '')}/`.replace(/\//g, '\\/');
+    doc.querySelectorAll('script:not([src])').forEach(script => {
+      if (!/wpcf7/.test(script.textContent)) return;
+      script.textContent = script.textContent.replace(/("root"\s*:\s*")[^"]*(")/, `$1${root}$2`);
+    });
+  }
+  return rewritten;
+}
+
+// origin: posts to the source site; external: a third-party service that
+// keeps working from the export; none: javascript:, mailto: and the like
+function targetOf(action, pageOrigin) {
+  let u;
+  try { u = new URL(action); } catch { return 'none'; }
+  if (!/^https?:$/.test(u.protocol)) return 'none';
+  return u.origin === pageOrigin ? 'origin' : 'external';
+}
+
+function matches(form, selector) {
+  try {
+    return form.matches(selector);
+  } catch {
+    // :has() is not supported everywhere; try the parts one by one
+    return selector.split(',').some(part => {
+      try { return form.matches(part.trim()); } catch { return false; }
+    });
+  }
+}
+
+function unique(values) {
+  return Array.from(new Set(values.filter(Boolean)));
+}
@@ -0,0 +1,77 @@
+/**
+ * Screenshot comparison shared by the exporter (aggressive-mode verification)
+ * and the auditors.
+ */
+
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+/**
+ * Compare two PNG buffers. threshold is pixelmatch's per-pixel color
+ * tolerance (0-1).
+ *
+ * By default screenshots of different size count as fully different. With
+ * padToLargest, both images are padded to the larger width and height and
+ * the padding counts as changed, so full-page screenshots of pages with
+ * different heights still get a meaningful diff.
+ *
+ * Returns { width, height, sizeMatch, beforeSize, afterSize, diffPixels,
+ * diffRatio, diffPng }. diffPng highlights changed pixels in red over a
+ * faded copy of the "before" image (null when nothing changed).
+ */
+export function compareScreenshots(beforePng, afterPng, { threshold = 0.1, padToLargest = false } = {}) {
+  let before = PNG.sync.read(beforePng);
+  let after = PNG.sync.read(afterPng);
+  const beforeSize = { width: before.width, height: before.height };
+  const afterSize = { width: after.width, height: after.height };
+  const sizeMatch = before.width === after.width && before.height === after.height;
+
+  if (!sizeMatch && !padToLargest) {
+    return {
+      width: after.width,
+      height: after.height,
+      sizeMatch: false,
+      beforeSize,
+      afterSize,
+      diffPixels: after.width * after.height,
+      diffRatio: 1,
+      diffPng: null
+    };
+  }
+
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  if (!sizeMatch) {
+    before = padImage(before, width, height);
+    after = padImage(after, width, height);
+  }
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(before.data, after.data, diff.data, width, height, { threshold });
+
+  return {
+    width,
+    height,
+    sizeMatch,
+    beforeSize,
+    afterSize,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    diffPng: diffPixels > 0 ? PNG.sync.write(diff) : null
+  };
+}
+
+// Copy image onto a width x height canvas filled with opaque magenta, a color
+// pages rarely use, so the padded area always differs from real content
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < padded.data.length; i += 4) {
+    padded.data[i] = 255;
+    padded.data[i + 1] = 0;
+    padded.data[i + 2] = 255;
+    padded.data[i + 3] = 255;
+  }
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
@@ -0,0 +1,205 @@
+/**
+ * Declarative interaction recipes shared by the exporter and both auditors.
+ *
+ * A recipe is an ordered list of steps run against the rendered page to
+ * reveal content that bulk clicking cannot reach: mega-menus that open on
+ * hover, modals, multi-step tabs, search suggestions.
+ *
+ *   { "action": "hover", "selector": ".x-menu-item-has-children > a", "all": true, "wait_ms": 300 }
+ *   { "action": "click", "selector": "#open-modal", "screenshot": "modal" }
+ *   { "action": "wait-for-selector", "selector": ".x-modal.x-active" }
+ *   { "action": "type", "selector": "input[name=s]", "text": "pricing" }
+ *   { "action": "press", "key": "Escape" }
+ *
+ * Without a recipe the configured `interactions` selectors are clicked as
+ * before, as optional click-all steps. The exporter force-clicks them, so
+ * forced clicks never follow a link to another page.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const RECIPE_ACTIONS = [
+  'click', 'hover', 'focus', 'type', 'press', 'scroll-to', 'wait-for-selector', 'wait-for-network-idle'
+];
+
+const STEP_KEYS = ['action', 'selector', 'text', 'key', 'all', 'force', 'optional', 'timeout_ms', 'wait_ms', 'state', 'screenshot'];
+const ELEMENT_ACTIONS = ['click', 'hover', 'focus', 'type', 'scroll-to'];
+const WAIT_STATES = ['attached', 'detached', 'visible', 'hidden'];
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Problem with a recipe (array of steps) as a message, or null when valid.
+ */
+export function validateRecipe(steps) {
+  if (!Array.isArray(steps)) return 'must be an array of steps';
+  for (const [i, step] of steps.entries()) {
+    const at = `[${i}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) return `${at} must be an object`;
+    const extra = Object.keys(step).filter(k => !STEP_KEYS.includes(k));
+    if (extra.length) return `${at} has unknown key(s): ${extra.join(', ')}`;
+    if (!RECIPE_ACTIONS.includes(step.action)) return `${at}.action must be one of: ${RECIPE_ACTIONS.join(', ')}`;
+    const needsSelector = ELEMENT_ACTIONS.includes(step.action) || step.action === 'wait-for-selector';
+    if (needsSelector && (typeof step.selector !== 'string' || !step.selector)) return `${at}.selector is required for ${step.action}`;
+    if (step.selector !== undefined && (typeof step.selector !== 'string' || !step.selector)) return `${at}.selector must be a non-empty string`;
+    if (step.action === 'type' && typeof step.text !== 'string') return `${at}.text is required for type`;
+    if (step.action === 'press' && (typeof step.key !== 'string' || !step.key)) return `${at}.key is required for press`;
+    for (const flag of ['all', 'force', 'optional']) {
+      if (step[flag] !== undefined && typeof step[flag] !== 'boolean') return `${at}.${flag} must be true or false`;
+    }
+    for (const ms of ['timeout_ms', 'wait_ms']) {
+      if (step[ms] !== undefined && (typeof step[ms] !== 'number' || !Number.isFinite(step[ms]) || step[ms] < 0)) {
+        return `${at}.${ms} must be a non-negative number`;
+      }
+    }
+    if (step.state !== undefined && !WAIT_STATES.includes(step.state)) return `${at}.state must be one of: ${WAIT_STATES.join(', ')}`;
+    if (step.screenshot !== undefined && typeof step.screenshot !== 'boolean' && (typeof step.screenshot !== 'string' || !step.screenshot)) {
+      return `${at}.screenshot must be true, false or a name`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Steps from a recipe file: a JSON array of steps or { "steps": [...] }.
+ */
+export function loadRecipe(file) {
+  if (!fs.pathExistsSync(file)) throw new Error(`Recipe file not found: ${file}`);
+  let data;
+  try {
+    data = fs.readJsonSync(file);
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+  return Array.isArray(data) ? data : data?.steps;
+}
+
+/**
+ * The configured recipe, or the `interactions` selectors as optional
+ * click-all steps (clickDefaults adds the tool's click timing). With
+ * openedDetails the caller has already opened every <details>, so selectors
+ * for their <summary> are left out: a click would close them again.
+ */
+export function interactionSteps(config, clickDefaults = {}, { openedDetails = false } = {}) {
+  if (config.recipe.length > 0) return config.recipe;
+  const selectors = openedDetails
+    ? config.interactions.filter(selector => !/(^|[\s>+~])summary$/i.test(selector.trim()))
+    : config.interactions;
+  return selectors.map(selector => ({ action: 'click', selector, all: true, optional: true, ...clickDefaults }));
+}
+
+/**
+ * Run steps in order. A failing step stops the recipe unless it is optional;
+ * navigation or a closed page always stops it. Steps with `screenshot` save
+ * `<label>-<NN>[-name].png` in screenshotDir (none when it is null).
+ * Returns [{ step, action, selector?, status: ok|failed|skipped, matched,
+ * error?, screenshot? }].
+ */
+export async function runRecipe(page, steps, { screenshotDir = null, label = 'page' } = {}) {
+  const results = [];
+  for (const [index, step] of steps.entries()) {
+    const result = { step: index + 1, action: step.action, ...(step.selector ? { selector: step.selector } : {}), status: 'ok', matched: null };
+    results.push(result);
+    if (page.isClosed()) {
+      Object.assign(result, { status: 'failed', error: 'page closed' });
+      break;
+    }
+
+    try {
+      result.matched = await runStep(page, step);
+      if (step.screenshot && screenshotDir) {
+        const name = typeof step.screenshot === 'string' ? `-${step.screenshot.replace(/[^\w-]+/g, '-')}` : '';
+        const file = path.join(screenshotDir, `${label}-${String(index + 1).padStart(2, '0')}${name}.png`);
+        await fs.ensureDir(screenshotDir);
+        await page.screenshot({ path: file, fullPage: true });
+        result.screenshot = file;
+      }
+    } catch (error) {
+      result.status = step.optional ? 'skipped' : 'failed';
+      result.error = error.message.split('\n')[0];
+      if (/Execution context was destroyed|has been closed/.test(error.message)) {
+        result.status = 'failed';
+        break;
+      }
+      if (!step.optional) break;
+    }
+  }
+  return results;
+}
+
+// Run one step; returns the number of elements it acted on (null for
+// page-level steps)
+async function runStep(page, step) {
+  const timeout = step.timeout_ms ?? DEFAULT_TIMEOUT_MS;
+  const pause = () => (step.wait_ms ? page.waitForTimeout(step.wait_ms) : null);
+
+  if (step.action === 'wait-for-network-idle') {
+    await page.waitForLoadState('networkidle', { timeout });
+    await pause();
+    return null;
+  }
+  if (step.action === 'wait-for-selector') {
+    await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+    await pause();
+    return 1;
+  }
+  if (step.action === 'press' && !step.selector) {
+    await page.keyboard.press(step.key);
+    await pause();
+    return null;
+  }
+
+  const handles = await page.$$(step.selector);
+  if (handles.length === 0) throw new Error(`no element matches ${step.selector}`);
+
+  // With `all`, every match is tried and elements that cannot be acted on
+  // (hidden, detached) are passed over
+  let acted = 0;
+  let lastError = null;
+  for (const handle of step.all ? handles : handles.slice(0, 1)) {
+    try {
+      await act(handle, step, timeout);
+      acted++;
+      await pause();
+    } catch (error) {
+      if (/Execution context was destroyed|has been closed/.test(error.message)) throw error;
+      lastError = error;
+    }
+  }
+  if (acted === 0) throw lastError;
+  return acted;
+}
+
+// Forced clicks skip Playwright's actionability checks; on a link to another
+// document they would navigate away in the middle of the capture
+function leavesPage(handle) {
+  return handle.evaluate(el => {
+    const link = el.closest('a[href], area[href]');
+    if (!link || link.target === '_blank') return false;
+    const url = new URL(link.href, location.href);
+    if (!/^https?:$/.test(url.protocol)) return false;
+    return url.origin + url.pathname + url.search !== location.origin + location.pathname + location.search;
+  });
+}
+
+async function act(handle, step, timeout) {
+  const force = step.force ?? false;
+  switch (step.action) {
+    case 'click':
+      if (force && await leavesPage(handle)) throw new Error('link to another page is not force-clicked');
+      return handle.click({ timeout, force });
+    case 'hover':
+      return handle.hover({ timeout, force });
+    case 'focus':
+      return handle.focus();
+    case 'type':
+      await handle.fill('', { timeout, force });
+      return handle.pressSequentially(step.text, { timeout });
+    case 'press':
+      return handle.press(step.key, { timeout });
+    case 'scroll-to':
+      return handle.scrollIntoViewIfNeeded({ timeout });
+    default:
+      throw new Error(`Unknown recipe action "${step.action}"`);
+  }
+}
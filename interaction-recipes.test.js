@@ -0,0 +1,33 @@
+/**
+ * Steps built from the `interactions` selectors when no recipe is configured.
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interactionSteps, validateRecipe } from './interaction-recipes.js';
+import { DEFAULT_CONFIG } from './project-config.js';
+
+const selectors = steps => steps.map(step => step.selector);
+
+test('interactions become optional click-all steps with the caller timing', () => {
+  const steps = interactionSteps(DEFAULT_CONFIG, { timeout_ms: 500, wait_ms: 200 });
+  assert.deepEqual(selectors(steps), DEFAULT_CONFIG.interactions);
+  assert.deepEqual(steps[0], { action: 'click', selector: DEFAULT_CONFIG.interactions[0], all: true, optional: true, timeout_ms: 500, wait_ms: 200 });
+  assert.equal(validateRecipe(steps), null);
+});
+
+test('openedDetails leaves out summary selectors, which would close the opened <details>', () => {
+  const config = { ...DEFAULT_CONFIG, interactions: ['.x-tab', 'details summary', 'details > summary', 'summary', '.summary-toggle'] };
+  assert.deepEqual(
+    selectors(interactionSteps(config, { force: true }, { openedDetails: true })),
+    ['.x-tab', '.summary-toggle']
+  );
+  assert.ok(selectors(interactionSteps(DEFAULT_CONFIG)).includes('details summary'));
+});
+
+test('a configured recipe replaces the interactions as-is', () => {
+  const recipe = [{ action: 'click', selector: 'details summary' }];
+  assert.equal(interactionSteps({ ...DEFAULT_CONFIG, recipe }, {}, { openedDetails: true }), recipe);
+});
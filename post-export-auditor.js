@@ -10,35 +10,21 @@ import path from 'path';
 import http from 'http';
 import { chromium } from 'playwright';
 import { JSDOM } from 'jsdom';
+import { DEFAULT_CONFIG, resolveConfig, loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+import { compareScreenshots } from './image-diff.js';
+import { summarizeAccessibility, diffAccessibility } from './a11y-diff.js';
+import { loadRecipe, interactionSteps, runRecipe } from './interaction-recipes.js';
+import { installVitalsObserver, collectVitals, evaluateVitals, VITALS_METRICS, DEFAULT_VITALS_BUDGETS } from './web-vitals.js';
 
-const DEFAULT_CONFIG = {
-  source_url: '',
-  export_dir: './dist',
-  entry_html: 'index.html',
-  viewports: [
-    { label: 'xs', width: 375, height: 667 },     // ≤480px - small phones
-    { label: 'sm', width: 480, height: 854 },     // ≤767px - large phones  
-    { label: 'md', width: 768, height: 1024 },    // ≤979px - tablets
-    { label: 'lg', width: 980, height: 1200 },    // ≤1200px - small desktops
-    { label: 'xl', width: 1366, height: 900 },    // >1200px - large screens
-    { label: 'mobile', width: 390, height: 844 }, // Additional mobile test
-    { label: 'desktop', width: 1366, height: 900 } // Additional desktop test
-  ],
-  interactions: [
-    '.x-accordion .x-accordion-toggle',
-    '.x-nav-tabs a',
-    '.x-toggle',
-    '[data-toggle]',
-    'details summary'
-  ],
-  timeout_sec: 20,
-  max_scroll_depth: 4,
-  server_port: 8082
-};
+// Resource types a page cannot render correctly without; remote requests of
+// other types (xhr, beacons, prefetch) are reported but do not fail
+// --offline-strict
+const REQUIRED_RESOURCE_TYPES = new Set(['document', 'stylesheet', 'script', 'font', 'image', 'media']);
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
 
 class PostExportAuditor {
   constructor(config) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config = resolveConfig(config);
     this.auditDir = path.resolve('./audit');
     this.exportDir = path.resolve(this.config.export_dir);
     
@@ -48,6 +34,11 @@ class PostExportAuditor {
     this.networkLog = [];
     this.consoleErrors = [];
     this.fileInventory = new Map();
+    this.visualResults = null; // per-viewport pixel comparison, when source_url is set
+    this.offlineRequests = []; // remote requests aborted in offline-strict mode
+    this.vitals = new Map(); // viewport label → { export, original } web-vitals
+    this.accessibility = new Map(); // viewport label → { export, original } accessibility summaries
+    this.recipeResults = new Map(); // viewport label → { export, original } interaction recipe results
     this.server = null;
   }
 
@@ -181,18 +172,24 @@ class PostExportAuditor {
     // @import statements
     const importMatches = cssContent.matchAll(/@import\s+['"]([^'"]+)['"]/g);
     for (const match of importMatches) {
-      this.addStaticAsset(match[1], 'css', source);
+      this.addStaticAsset(this.resolveCSSRef(match[1], source), 'css', source);
     }
     
     // url() references
     const urlMatches = cssContent.matchAll(/url\(['"]?([^'")]+)['"]?\)/g);
     for (const match of urlMatches) {
-      const url = match[1];
+      const url = this.resolveCSSRef(match[1], source);
       const type = this.getAssetType(url);
       this.addStaticAsset(url, type, source);
     }
   }
 
+  // Localized stylesheets reference assets relative to their own location
+  resolveCSSRef(url, cssUrl) {
+    if (!cssUrl.startsWith('./') || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return url;
+    return './' + path.posix.normalize(path.posix.join(path.posix.dirname(cssUrl.slice(2)), url));
+  }
+
   async analyzeJS() {
     const jsAssets = Array.from(this.staticAssets.keys()).filter(url => 
       this.staticAssets.get(url).type === 'js'
@@ -258,10 +255,12 @@ class PostExportAuditor {
   }
 
   resolveLocalPath(url) {
+    if (url.includes('://')) return null;
+    // Exported references are percent-encoded; files on disk use decoded names
+    try { url = decodeURIComponent(url); } catch {}
     if (url.startsWith('./')) return path.join(this.exportDir, url.slice(2));
     if (url.startsWith('/')) return path.join(this.exportDir, url.slice(1));
-    if (!url.includes('://')) return path.join(this.exportDir, url);
-    return null;
+    return path.join(this.exportDir, url);
   }
 
   async startLocalServer() {
@@ -269,10 +268,23 @@ class PostExportAuditor {
     
     return new Promise((resolve, reject) => {
       this.server = http.createServer((req, res) => {
-        let pathname = req.url.split('?')[0];
+        // Exported references are percent-encoded; files on disk use decoded names
+        let pathname;
+        try {
+          pathname = decodeURIComponent(req.url.split('?')[0].split('#')[0]);
+        } catch {
+          res.writeHead(400);
+          res.end('Bad Request');
+          return;
+        }
         if (pathname === '/') pathname = '/' + this.config.entry_html;
         
-        const filePath = path.join(this.exportDir, pathname.slice(1));
+        const filePath = path.resolve(this.exportDir, pathname.slice(1));
+        if (!filePath.startsWith(this.exportDir + path.sep)) {
+          res.writeHead(400);
+          res.end('Bad Request');
+          return;
+        }
         
         fs.readFile(filePath, (err, data) => {
           if (err) {
@@ -314,6 +326,9 @@ class PostExportAuditor {
   async runtimeAnalysis() {
     console.log('🔬 Runtime analysis across all responsive breakpoints...');
     console.log(`📱 Testing ${this.config.viewports.length} viewports: ${this.config.viewports.map(v => v.label).join(', ')}`);
+    if (this.config.offline_strict) {
+      console.log('📴 Offline-strict: every non-localhost request is aborted');
+    }
     
     await this.startLocalServer();
     const browser = await chromium.launch();
@@ -331,6 +346,8 @@ class PostExportAuditor {
       });
       
       const viewportRequests = [];
+      const initiators = this.config.offline_strict ? await this.blockRemoteRequests(page) : null;
+      await installVitalsObserver(page);
       
       page.on('request', req => {
         const requestData = {
@@ -367,11 +384,15 @@ class PostExportAuditor {
           waitUntil: 'networkidle',
           timeout: this.config.timeout_sec * 1000
         });
+        await this.recordVitals(page, viewport.label, 'export');
         
         await this.performAutoScroll(page);
-        await this.performInteractions(page);
+        await this.performInteractions(page, viewport.label, 'export');
         await page.waitForTimeout(2000);
         
+        if (initiators) await this.recordRemoteRequests(page, viewport.label, viewportRequests, initiators);
+        if (this.config.source_url) await this.recordAccessibility(page, viewport.label, 'export');
+        
         const screenshot = await page.screenshot({ fullPage: true });
         const screenshotPath = path.join(this.auditDir, 'screenshots', `${viewport.label}.png`);
         await fs.writeFile(screenshotPath, screenshot);
@@ -379,13 +400,21 @@ class PostExportAuditor {
         // Track assets loaded in this viewport
         viewportRequests.forEach(req => {
           if (req.url.startsWith(`http://localhost:${this.config.server_port}`)) {
-            const localUrl = req.url.replace(`http://localhost:${this.config.server_port}`, '');
+            let localUrl = this.normalizeURL(req.url.replace(`http://localhost:${this.config.server_port}`, ''));
+            try { localUrl = decodeURIComponent(localUrl); } catch {}
             this.viewportAssets.get(viewport.label).add(localUrl);
             this.runtimeAssets.add(localUrl);
           }
         });
         
         console.log(`   📊 ${viewport.label}: ${this.viewportAssets.get(viewport.label).size} assets loaded`);
+        if (initiators) {
+          const remote = this.offlineRequests.filter(r => r.viewport === viewport.label);
+          const required = remote.filter(r => r.required).length;
+          console.log(remote.length === 0
+            ? `   📴 ${viewport.label}: no remote requests`
+            : `   📴 ${viewport.label}: ${remote.length} remote requests aborted (${required} required)`);
+        }
         
       } catch (error) {
         console.log(`⚠️ Error testing ${viewport.label}: ${error.message}`);
@@ -401,6 +430,101 @@ class PostExportAuditor {
     console.log(`📈 Unique assets across all viewports: ${this.runtimeAssets.size}`);
   }
 
+  // Abort everything that does not go to the local server. Returns the map
+  // url → CDP initiator that recordRemoteRequests() resolves; Playwright does
+  // not expose who started a request.
+  async blockRemoteRequests(page) {
+    const initiators = new Map();
+    const cdp = await page.context().newCDPSession(page);
+    cdp.on('Network.requestWillBeSent', event => {
+      if (!initiators.has(event.request.url)) initiators.set(event.request.url, event.initiator);
+    });
+    await cdp.send('Network.enable');
+
+    await page.route(() => true, route => {
+      const url = new URL(route.request().url());
+      const local = !/^(https?|wss?):$/.test(url.protocol) || LOCAL_HOSTS.has(url.hostname);
+      return local ? route.fallback() : route.abort('internetdisconnected');
+    });
+    return initiators;
+  }
+
+  // Turn the aborted requests of one viewport into report entries, naming the
+  // element that references each URL, or the script/stylesheet that requested it
+  async recordRemoteRequests(page, viewport, requests, initiators) {
+    const local = `http://localhost:${this.config.server_port}`;
+    const remote = [];
+    for (const req of requests) {
+      let host;
+      try { host = new URL(req.url).hostname; } catch { continue; }
+      if (!/^(https?|wss?):/.test(req.url) || LOCAL_HOSTS.has(host)) continue;
+      if (!remote.some(r => r.url === req.url)) remote.push(req);
+    }
+    if (remote.length === 0) return;
+
+    const elements = await page.evaluate(urls => {
+      const ATTRIBUTES = ['src', 'href', 'srcset', 'poster', 'data', 'action', 'style', 'data-src', 'data-srcset', 'data-bg', 'data-embed-src'];
+      const describe = el => el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '') +
+        Array.from(el.classList).slice(0, 2).map(c => `.${c}`).join('');
+      const found = {};
+      for (const el of document.querySelectorAll('*')) {
+        for (const attr of ATTRIBUTES) {
+          const value = el.getAttribute(attr);
+          if (!value) continue;
+          for (const url of urls) {
+            if (found[url]) continue;
+            if (value.includes(url) || value.includes(url.replace(/^https?:/, ''))) found[url] = `<${describe(el)}> ${attr}`;
+          }
+        }
+      }
+      return found;
+    }, remote.map(r => r.url)).catch(() => ({}));
+
+    const shortUrl = url => (url.startsWith(local) ? url.slice(local.length + 1) || this.config.entry_html : url);
+    for (const req of remote) {
+      const initiator = initiators.get(req.url) || {};
+      const frame = initiator.stack?.callFrames?.[0] || initiator.stack?.parent?.callFrames?.[0];
+      let source;
+      if (frame) source = `script ${shortUrl(frame.url) || '(inline)'}:${frame.lineNumber + 1}`;
+      else if (initiator.url) source = `${/\.css([?#]|$)/.test(initiator.url) ? 'stylesheet' : 'document'} ${shortUrl(initiator.url)}`;
+
+      this.offlineRequests.push({
+        url: req.url,
+        viewport,
+        resource_type: req.resourceType,
+        required: REQUIRED_RESOURCE_TYPES.has(req.resourceType),
+        initiator_type: initiator.type || 'other',
+        initiator: elements[req.url] || source || 'unknown'
+      });
+    }
+  }
+
+  // Web-vitals right after load, before scrolling and clicking, so the
+  // original and the export are measured at the same point
+  async recordVitals(page, viewport, side) {
+    try {
+      const metrics = await collectVitals(page);
+      if (!this.vitals.has(viewport)) this.vitals.set(viewport, { export: null, original: null });
+      this.vitals.get(viewport)[side] = metrics;
+      const lcp = metrics.lcp_ms === null ? 'n/a' : `${metrics.lcp_ms}ms`;
+      console.log(`   ⏱️ ${viewport} ${side}: LCP ${lcp}, CLS ${metrics.cls ?? 'n/a'}, TBT ${metrics.tbt_ms}ms, load ${metrics.load_ms ?? 'n/a'}ms`);
+    } catch (error) {
+      console.log(`⚠️ Could not read web-vitals (${side}, ${viewport}): ${error.message}`);
+    }
+  }
+
+  // Accessibility tree in the state the screenshot shows (after scrolling and
+  // interactions), reduced to landmarks, headings and named roles
+  async recordAccessibility(page, viewport, side) {
+    try {
+      const snapshot = await page.accessibility.snapshot({ interestingOnly: true });
+      if (!this.accessibility.has(viewport)) this.accessibility.set(viewport, { export: null, original: null });
+      this.accessibility.get(viewport)[side] = summarizeAccessibility(snapshot);
+    } catch (error) {
+      console.log(`⚠️ Could not read the accessibility tree (${side}, ${viewport}): ${error.message}`);
+    }
+  }
+
   async performAutoScroll(page) {
     for (let i = 0; i < this.config.max_scroll_depth; i++) {
       await page.evaluate(() => window.scrollBy(0, window.innerHeight));
@@ -409,42 +533,81 @@ class PostExportAuditor {
     await page.evaluate(() => window.scrollTo(0, 0));
   }
 
-  async performInteractions(page) {
-    for (const selector of this.config.interactions) {
-      try {
-        const elements = await page.$$(selector);
-        for (const element of elements) {
-          try {
-            await element.click({ timeout: 500 });
-            await page.waitForTimeout(200);
-          } catch (e) {}
-        }
-      } catch (e) {}
+  // Interaction recipe (or the interactions clicks); recipe results are kept
+  // per viewport so failing steps show up in the report
+  async performInteractions(page, viewport, side) {
+    const results = await runRecipe(page, interactionSteps(this.config, { timeout_ms: 500, wait_ms: 200 }), {
+      screenshotDir: this.config.recipe_screenshot_dir || null,
+      label: `audit-${side}-${viewport}`
+    });
+    if (!this.recipeResults.has(viewport)) this.recipeResults.set(viewport, { export: null, original: null });
+    this.recipeResults.get(viewport)[side] = results;
+    for (const result of results.filter(r => r.status === 'failed')) {
+      console.log(`   ⚠️ Recipe step ${result.step} (${result.action}${result.selector ? ` ${result.selector}` : ''}) failed on the ${side}: ${result.error}`);
     }
   }
 
   async visualComparison() {
     console.log('📷 Visual comparison with original...');
+    this.visualResults = [];
     
     const browser = await chromium.launch();
     
     for (const viewport of this.config.viewports) {
+      const result = {
+        viewport: viewport.label,
+        size: `${viewport.width}x${viewport.height}`,
+        original_height: null,
+        export_height: null,
+        mismatch_percentage: null,
+        diff_pixels: null,
+        passed: false,
+        diff_image: null,
+        error: null
+      };
+      this.visualResults.push(result);
+
       const page = await browser.newPage({ 
         viewport: { width: viewport.width, height: viewport.height }
       });
+      await installVitalsObserver(page);
       
       try {
         await page.goto(this.config.source_url, { 
           waitUntil: 'networkidle',
           timeout: this.config.timeout_sec * 1000
         });
+        await this.recordVitals(page, viewport.label, 'original');
         
+        // Same steps as the export screenshot, so lazy content and opened
+        // accordions/tabs match
+        await this.performAutoScroll(page);
+        await this.performInteractions(page, viewport.label, 'original');
+        await page.waitForTimeout(2000);
+        await this.recordAccessibility(page, viewport.label, 'original');
+
         const originalScreenshot = await page.screenshot({ fullPage: true });
         const originalPath = path.join(this.auditDir, 'visual-diff', `${viewport.label}-original.png`);
         await fs.writeFile(originalPath, originalScreenshot);
+
+        const exportPath = path.join(this.auditDir, 'screenshots', `${viewport.label}.png`);
+        if (!await fs.pathExists(exportPath)) {
+          throw new Error('no export screenshot (runtime analysis failed for this viewport)');
+        }
+        const diffPng = this.compareViewport(result, originalScreenshot, await fs.readFile(exportPath));
+        if (diffPng) {
+          result.diff_image = `visual-diff/${viewport.label}-diff.png`;
+          await fs.writeFile(path.join(this.auditDir, result.diff_image), diffPng);
+        }
+
+        const verdict = result.passed ? '✅' : '❌';
+        const heights = result.original_height === result.export_height ? '' :
+          ` (height ${result.original_height}px → ${result.export_height}px)`;
+        console.log(`   ${verdict} ${viewport.label}: ${result.mismatch_percentage}% mismatch${heights}`);
         
       } catch (error) {
-        console.log(`⚠️ Failed to capture original for ${viewport.label}: ${error.message}`);
+        result.error = error.message;
+        console.log(`⚠️ Failed to compare ${viewport.label}: ${error.message}`);
       }
       
       await page.close();
@@ -453,6 +616,30 @@ class PostExportAuditor {
     await browser.close();
   }
 
+  // Pixel comparison of the original (before) and export (after) screenshots.
+  // Pages of different height are padded, so missing or extra content counts
+  // as mismatch instead of failing the comparison. Returns the diff image.
+  compareViewport(result, originalPng, exportPng) {
+    const diff = compareScreenshots(originalPng, exportPng, { padToLargest: true });
+    result.original_height = diff.beforeSize.height;
+    result.export_height = diff.afterSize.height;
+    result.diff_pixels = diff.diffPixels;
+    result.mismatch_percentage = Math.round(diff.diffRatio * 10000) / 100;
+    result.passed = diff.diffRatio <= this.config.diff_threshold;
+    return diff.diffPng;
+  }
+
+  summarizeVisualComparison() {
+    if (!this.visualResults) return null;
+    const compared = this.visualResults.filter(r => !r.error);
+    return {
+      threshold_percentage: Math.round(this.config.diff_threshold * 10000) / 100,
+      passed: compared.length > 0 && compared.length === this.visualResults.length && compared.every(r => r.passed),
+      failed_viewports: this.visualResults.filter(r => !r.passed).map(r => r.viewport),
+      viewports: this.visualResults
+    };
+  }
+
   async generateReports() {
     console.log('📄 Generating final reports...');
     
@@ -510,10 +697,16 @@ class PostExportAuditor {
       },
       viewport_analysis: this.generateViewportAnalysis(),
       largest_unused_files: unusedFiles.slice(0, 10),
+      unused_files: unusedFiles, // complete list, used by cleanup-unused.js
       unused_files_by_type: this.groupFilesByType(unusedFiles),
       console_errors: this.consoleErrors,
       network_requests: this.networkLog.length,
       viewports_tested: this.config.viewports.map(v => v.label),
+      visual_comparison: this.summarizeVisualComparison(),
+      web_vitals: this.summarizeVitals(),
+      accessibility: this.summarizeAccessibilityDiff(),
+      interaction_recipe: this.summarizeRecipe(),
+      offline_strict: this.summarizeOfflineStrict(),
       recommendations: this.generateRecommendations(unusedFiles, totalSize, unusedSize)
     };
     
@@ -536,6 +729,133 @@ class PostExportAuditor {
     if (this.consoleErrors.length > 0) {
       console.log(`   ⚠️  Console errors: ${this.consoleErrors.length}`);
     }
+    if (report.visual_comparison) {
+      const visual = report.visual_comparison;
+      console.log(visual.passed
+        ? `   🖼️  Visual comparison: passed (≤ ${visual.threshold_percentage}% mismatch)`
+        : `   🖼️  Visual comparison: FAILED for ${visual.failed_viewports.join(', ')} (threshold ${visual.threshold_percentage}%)`);
+    }
+    if (report.interaction_recipe) {
+      const recipe = report.interaction_recipe;
+      const failing = recipe.viewports.filter(v => v.failed_steps.length > 0);
+      console.log(recipe.passed
+        ? `   🧭 Interaction recipe: all ${recipe.steps} steps ran on the export`
+        : `   🧭 Interaction recipe: steps failed on the export at ${failing.map(v => `${v.viewport} (#${v.failed_steps.join(', #')})`).join(', ')}`);
+    }
+    if (report.accessibility) {
+      const a11y = report.accessibility;
+      console.log(a11y.passed
+        ? '   ♿ Accessibility tree: nothing lost compared with the original'
+        : `   ♿ Accessibility tree: changes at ${a11y.failed_viewports.join(', ')}`);
+      for (const result of a11y.viewports.filter(r => !r.passed)) {
+        if (result.error) {
+          console.log(`      ✗ ${result.viewport}: ${result.error}`);
+          continue;
+        }
+        const lostHeadings = result.heading_changes.filter(h => h.change !== 'added').length;
+        console.log(`      ✗ ${result.viewport}: ${result.missing_landmarks.length} landmarks missing, ${result.lost_names.length} names lost, ${result.lost_roles.length} roles fewer, ${lostHeadings} headings missing or moved`);
+      }
+    }
+    if (report.web_vitals) {
+      const vitals = report.web_vitals;
+      console.log(vitals.passed
+        ? '   ⏱️  Web-vitals: within budgets' + (this.config.source_url ? ' and not slower than the original' : '')
+        : `   ⏱️  Web-vitals: over budget or slower than the original at ${vitals.failed_viewports.join(', ')}`);
+    }
+    if (report.offline_strict) {
+      const offline = report.offline_strict;
+      console.log(offline.passed
+        ? `   📴 Offline-strict: passed${offline.remote_requests ? ` (${offline.remote_requests} optional remote requests aborted)` : ''}`
+        : `   📴 Offline-strict: FAILED, ${offline.required_remote} required resources are remote:`);
+      for (const req of offline.requests.filter(r => r.required)) {
+        console.log(`      ✗ [${req.viewports.join(', ')}] ${req.resource_type} ${req.url} ← ${req.initiator}`);
+      }
+    }
+  }
+
+  // Recipe step results per viewport; null when no recipe is configured
+  summarizeRecipe() {
+    if (this.config.recipe.length === 0) return null;
+    const viewports = Array.from(this.recipeResults, ([viewport, sides]) => ({
+      viewport,
+      export: sides.export,
+      original: sides.original,
+      failed_steps: (sides.export || []).filter(r => r.status === 'failed').map(r => r.step)
+    }));
+    return {
+      steps: this.config.recipe.length,
+      passed: viewports.every(v => v.failed_steps.length === 0),
+      viewports
+    };
+  }
+
+  // Per-breakpoint accessibility diff of the original and the export; null
+  // without source_url
+  summarizeAccessibilityDiff() {
+    if (!this.config.source_url || this.accessibility.size === 0) return null;
+    const viewports = this.config.viewports.map(vp => {
+      const { export: exported, original } = this.accessibility.get(vp.label) || {};
+      const base = { viewport: vp.label, size: `${vp.width}x${vp.height}` };
+      if (!exported || !original) {
+        return { ...base, passed: false, error: `no accessibility tree of the ${exported ? 'original' : 'export'}` };
+      }
+      return {
+        ...base,
+        landmarks: { original: original.landmarks.length, export: exported.landmarks.length },
+        headings: { original: original.headings.length, export: exported.headings.length },
+        ...diffAccessibility(original, exported)
+      };
+    });
+    return {
+      passed: viewports.every(v => v.passed),
+      failed_viewports: viewports.filter(v => !v.passed).map(v => v.viewport),
+      viewports
+    };
+  }
+
+  // Per-breakpoint web-vitals of the export (and the original, when
+  // source_url is set) checked against budgets; null when nothing was measured
+  summarizeVitals() {
+    if (this.vitals.size === 0) return null;
+    const budgets = { ...DEFAULT_VITALS_BUDGETS, ...this.config.vitals_budgets };
+    const viewports = this.config.viewports
+      .filter(vp => this.vitals.has(vp.label))
+      .map(vp => {
+        const measured = this.vitals.get(vp.label);
+        return {
+          viewport: vp.label,
+          size: `${vp.width}x${vp.height}`,
+          ...evaluateVitals(measured.export, measured.original, budgets, this.config.vitals_max_regression)
+        };
+      });
+    return {
+      budgets,
+      max_regression_percentage: Math.round(this.config.vitals_max_regression * 100),
+      passed: viewports.every(v => v.passed),
+      failed_viewports: viewports.filter(v => !v.passed).map(v => v.viewport),
+      viewports
+    };
+  }
+
+  // Remote requests merged across viewports; null unless offline_strict is on
+  summarizeOfflineStrict() {
+    if (!this.config.offline_strict) return null;
+    const byUrl = new Map();
+    for (const req of this.offlineRequests) {
+      const entry = byUrl.get(req.url);
+      const { viewport, ...rest } = req;
+      if (entry) entry.viewports.push(viewport);
+      else byUrl.set(req.url, { ...rest, viewports: [viewport] });
+    }
+    const requests = Array.from(byUrl.values())
+      .sort((a, b) => b.required - a.required || a.url.localeCompare(b.url));
+    const requiredRemote = requests.filter(r => r.required).length;
+    return {
+      passed: requiredRemote === 0,
+      remote_requests: requests.length,
+      required_remote: requiredRemote,
+      requests
+    };
   }
 
   generateViewportAnalysis() {
@@ -622,6 +942,40 @@ class PostExportAuditor {
     if (this.consoleErrors.length > 0) {
       recommendations.push('Console errors detected - check JavaScript integrity');
     }
+
+    const failedVisual = (this.visualResults || []).filter(r => !r.passed).map(r => r.viewport);
+    if (failedVisual.length > 0) {
+      recommendations.push(`Export differs visually from the original at ${failedVisual.join(', ')} - see visual-diff/*-diff.png`);
+    }
+
+    const recipeFailed = (this.summarizeRecipe()?.viewports || []).filter(v => v.failed_steps.length > 0);
+    if (recipeFailed.length > 0) {
+      recommendations.push(`Interaction recipe steps failed on the export at ${recipeFailed.map(v => v.viewport).join(', ')} - the menus, modals or tabs they open may not work in the export`);
+    }
+
+    const a11yFailed = (this.summarizeAccessibilityDiff()?.viewports || []).filter(v => !v.passed && !v.error);
+    if (a11yFailed.length > 0) {
+      recommendations.push(`Export lost landmarks, accessible names or heading structure at ${a11yFailed.map(v => v.viewport).join(', ')} - check aria-*, alt and label attributes survive rewriting and pruning`);
+    }
+
+    const vitals = this.summarizeVitals();
+    const overBudget = new Set();
+    const regressed = new Set();
+    for (const { metrics } of vitals?.viewports || []) {
+      metrics.filter(m => m.over_budget).forEach(m => overBudget.add(VITALS_METRICS[m.metric].label));
+      metrics.filter(m => m.regressed).forEach(m => regressed.add(VITALS_METRICS[m.metric].label));
+    }
+    if (overBudget.size > 0) {
+      recommendations.push(`Export exceeds web-vitals budgets (${Array.from(overBudget).join(', ')}) - consider balanced mode or lazy-loading heavy assets`);
+    }
+    if (regressed.size > 0) {
+      recommendations.push(`Export is slower than the original for ${Array.from(regressed).join(', ')} - compare the web-vitals table per breakpoint`);
+    }
+
+    const requiredRemote = new Set(this.offlineRequests.filter(r => r.required).map(r => r.url));
+    if (requiredRemote.size > 0) {
+      recommendations.push(`${requiredRemote.size} required resources load from the internet - download them or strip them (--strip, strip_rules) before an offline deployment`);
+    }
     
     return recommendations;
   }
@@ -665,6 +1019,9 @@ class PostExportAuditor {
         .error { background: #fee; color: #c33; padding: 10px; border-radius: 4px; margin: 5px 0; }
         .success { background: #efe; color: #363; padding: 10px; border-radius: 4px; margin: 5px 0; }
         .warning { background: #ffd; color: #860; padding: 10px; border-radius: 4px; margin: 5px 0; }
+        .data { border-collapse: collapse; margin-bottom: 15px; }
+        .data th, .data td { border: 1px solid #ddd; padding: 6px 12px; text-align: left; }
+        .data .bad { color: #c33; font-weight: bold; }
     </style>
 </head>
 <body>
@@ -743,7 +1100,105 @@ class PostExportAuditor {
         </div>
         ` : '<div class="success">✅ All assets load consistently across viewports</div>'}
     </div>
-    
+
+    ${report.visual_comparison ? `
+    <div class="section">
+        <h2>🖼️ Visual Comparison</h2>
+        ${report.visual_comparison.passed
+          ? `<div class="success">✅ All viewports within ${report.visual_comparison.threshold_percentage}% pixel mismatch</div>`
+          : `<div class="error">❌ Over the ${report.visual_comparison.threshold_percentage}% threshold or not compared: ${report.visual_comparison.failed_viewports.join(', ')}</div>`}
+        <div class="viewport-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 15px; margin: 20px 0;">
+            ${report.visual_comparison.viewports.map(result => `
+                <div class="viewport-card" style="border: 1px solid #ddd; padding: 15px; border-radius: 8px;">
+                    <h4>${result.passed ? '✅' : '❌'} ${result.viewport} (${result.size})</h4>
+                    ${result.error ? `<p class="error">${result.error}</p>` : `
+                    <p><strong>Mismatch:</strong> ${result.mismatch_percentage}%</p>
+                    <p><strong>Height:</strong> ${result.original_height}px original, ${result.export_height}px export</p>
+                    ${result.diff_image ? `<a href="${result.diff_image}"><img src="${result.diff_image}" alt="Diff ${result.viewport}" style="width: 100%; max-height: 400px; object-fit: cover; object-position: top; border: 1px solid #ddd;"></a>` : '<p>No pixel differences</p>'}`}
+                </div>
+            `).join('')}
+        </div>
+        <p>Red pixels differ between the original (<code>visual-diff/&lt;viewport&gt;-original.png</code>) and the export (<code>screenshots/&lt;viewport&gt;.png</code>); magenta marks height the other page does not have.</p>
+    </div>
+    ` : ''}
+
+    ${report.interaction_recipe ? `
+    <div class="section">
+        <h2>🧭 Interaction Recipe</h2>
+        ${report.interaction_recipe.passed
+          ? `<div class="success">✅ All ${report.interaction_recipe.steps} steps ran on the export at every viewport</div>`
+          : '<div class="error">❌ Some steps failed on the export</div>'}
+        ${report.interaction_recipe.viewports.map(v => `
+        <h3>${v.failed_steps.length ? '❌' : '✅'} ${v.viewport}</h3>
+        <table class="data">
+            <tr><th>#</th><th>Step</th><th>Export</th><th>Original</th></tr>
+            ${this.config.recipe.map((step, i) => {
+              const exported = v.export?.[i];
+              const status = r => (!r ? 'not run' : `${r.status}${r.matched ? ` (${r.matched})` : ''}${r.error ? `: ${escapeHtml(r.error)}` : ''}${r.screenshot ? ` <a href="${escapeHtml(path.relative(this.auditDir, path.resolve(r.screenshot)))}">screenshot</a>` : ''}`);
+              return `<tr><td>${i + 1}</td><td>${step.action} <code>${escapeHtml(step.selector || step.key || '')}</code></td><td${exported?.status === 'failed' ? ' class="bad"' : ''}>${status(exported)}</td><td>${status(v.original?.[i])}</td></tr>`;
+            }).join('')}
+        </table>`).join('')}
+    </div>
+    ` : ''}
+
+    ${report.accessibility ? `
+    <div class="section">
+        <h2>♿ Accessibility Tree</h2>
+        ${report.accessibility.passed
+          ? '<div class="success">✅ Landmarks, accessible names and heading structure match the original at every viewport</div>'
+          : `<div class="error">❌ Accessibility differences at ${report.accessibility.failed_viewports.join(', ')}</div>`}
+        ${report.accessibility.viewports.map(result => `
+        <h3>${result.passed ? '✅' : '❌'} ${result.viewport} (${result.size})</h3>
+        ${result.error ? `<div class="error">${result.error}</div>` : `
+        <p><strong>Landmarks:</strong> ${result.landmarks.original} original, ${result.landmarks.export} export • <strong>Headings:</strong> ${result.headings.original} original, ${result.headings.export} export</p>
+        ${result.missing_landmarks.map(l => `<div class="error">Missing landmark: ${l.role}${l.name ? ` "${escapeHtml(l.name)}"` : ''}${l.missing > 1 ? ` (×${l.missing})` : ''}</div>`).join('')}
+        ${result.lost_roles.map(r => `<div class="error">Fewer ${r.role} elements: ${r.original} → ${r.export}</div>`).join('')}
+        ${result.lost_names.map(n => `<div class="error">Lost name: ${n.role} "${escapeHtml(n.name)}"${n.missing > 1 ? ` ×${n.missing}` : ''} (${n.element})</div>`).join('')}
+        ${result.heading_changes.map(h => h.change === 'level'
+          ? `<div class="warning">Heading level changed: h${h.original_level} → h${h.export_level} "${escapeHtml(h.name)}"</div>`
+          : h.change === 'missing'
+            ? `<div class="error">Missing heading: h${h.original_level} "${escapeHtml(h.name)}"</div>`
+            : `<div class="warning">Added heading: h${h.export_level} "${escapeHtml(h.name)}"</div>`).join('')}`}
+        `).join('')}
+    </div>
+    ` : ''}
+
+    ${report.web_vitals ? `
+    <div class="section">
+        <h2>⏱️ Web Vitals</h2>
+        ${report.web_vitals.passed
+          ? `<div class="success">✅ Within budgets${report.source_url ? ` and at most ${report.web_vitals.max_regression_percentage}% slower than the original` : ''}</div>`
+          : `<div class="error">❌ Over budget or more than ${report.web_vitals.max_regression_percentage}% slower than the original: ${report.web_vitals.failed_viewports.join(', ')}</div>`}
+        ${report.web_vitals.viewports.map(result => `
+        <h3>${result.passed ? '✅' : '❌'} ${result.viewport} (${result.size})</h3>
+        <table class="data">
+            <tr><th>Metric</th><th>Original</th><th>Export</th><th>Δ</th><th>Budget</th></tr>
+            ${result.metrics.map(m => {
+              const { label, unit } = VITALS_METRICS[m.metric];
+              const format = value => (value === null ? '-' : `${value}${unit}`);
+              const cell = (value, bad) => `<td${bad ? ' class="bad"' : ''}>${value}</td>`;
+              return `<tr>${cell(label)}${cell(format(m.original))}${cell(format(m.export), m.over_budget || m.regressed)}${cell(m.delta === null ? '-' : `${m.delta > 0 ? '+' : ''}${m.delta}${unit}`, m.regressed)}${cell(format(m.budget), m.over_budget)}</tr>`;
+            }).join('')}
+        </table>`).join('')}
+        <p>Measured right after load, before scrolling and interactions. TBT counts long tasks after First Contentful Paint.</p>
+    </div>
+    ` : ''}
+
+    ${report.offline_strict ? `
+    <div class="section">
+        <h2>📴 Offline-Strict Check</h2>
+        ${report.offline_strict.passed
+          ? `<div class="success">✅ No required resource is remote${report.offline_strict.remote_requests ? ` (${report.offline_strict.remote_requests} optional remote requests aborted)` : ''}</div>`
+          : `<div class="error">❌ ${report.offline_strict.required_remote} required resources are remote - the export does not work without internet</div>`}
+        ${report.offline_strict.requests.length > 0 ? `
+        <div class="file-list">
+            ${report.offline_strict.requests.map(req =>
+              `<div>${req.required ? '❌' : '⚪'} <strong>${req.resource_type}</strong> ${escapeHtml(req.url)} <em>← ${escapeHtml(req.initiator)} (${req.viewports.join(', ')})</em></div>`
+            ).join('')}
+        </div>` : ''}
+    </div>
+    ` : ''}
+
     <footer style="margin-top: 50px; padding-top: 20px; border-top: 1px solid #ddd; color: #666;">
         <p>Generated by Post-Export Auditor • ${new Date().toISOString()}</p>
     </footer>
@@ -759,24 +1214,40 @@ class PostExportAuditor {
   }
 }
 
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // واجهة سطر الأوامر
 async function main() {
-  const configPath = process.argv[2];
-  let config = {};
-  
-  if (configPath && await fs.pathExists(configPath)) {
-    config = await fs.readJson(configPath);
-  } else if (process.argv.length > 2) {
-    config = {
-      source_url: process.argv[2] || '',
-      export_dir: process.argv[3] || './dist'
-    };
+  const argv = process.argv.slice(2);
+  const positional = positionalArgs(argv, ['--offline-strict']);
+
+  // Legacy form: a config file as the first argument
+  let configPath = configPathFromArgs(argv);
+  if (!configPath && positional[0]?.endsWith('.json') && await fs.pathExists(positional[0])) {
+    configPath = positional.shift();
   }
-  
-  if (!config.export_dir) {
+
+  const portIndex = argv.indexOf('--port');
+  const config = loadConfig({
+    configPath,
+    overrides: {
+      source_url: positional[0],
+      export_dir: positional[1],
+      server_port: portIndex > -1 ? parseInt(argv[portIndex + 1], 10) : undefined,
+      offline_strict: argv.includes('--offline-strict') || undefined,
+      recipe: argv.includes('--recipe') ? loadRecipe(argv[argv.indexOf('--recipe') + 1]) : undefined
+    }
+  });
+
+  if (argv.length === 0 && !config.configFile) {
     console.log(`
 Usage: node post-export-auditor.js [config.json]
-    or: node post-export-auditor.js [source_url] [export_dir]
+    or: node post-export-auditor.js [source_url] [export_dir] [--config export.config.json] [--port N] [--offline-strict] [--recipe recipe.json]
+
+Settings are read from ./export.config.json (or --config); arguments override them.
+--offline-strict aborts every non-localhost request and fails when a required resource is remote.
 
 Example config.json:
 ${JSON.stringify(DEFAULT_CONFIG, null, 2)}
@@ -786,10 +1257,19 @@ ${JSON.stringify(DEFAULT_CONFIG, null, 2)}
   
   const auditor = new PostExportAuditor(config);
   await auditor.audit();
+
+  const requiredRemote = auditor.offlineRequests.filter(r => r.required);
+  if (requiredRemote.length > 0) {
+    console.error(`\n❌ Offline-strict check failed: ${new Set(requiredRemote.map(r => r.url)).size} required resources are remote (see audit/audit-report.json → offline_strict)`);
+    process.exitCode = 1;
+  }
 }
 
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
 }
 
 export default PostExportAuditor;
\ No newline at end of file
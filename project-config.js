@@ -0,0 +1,302 @@
+/**
+ * Shared project configuration for every tool in this repo.
+ *
+ * All scripts read the same JSON file (./export.config.json, or the file given
+ * with --config) and validate it against one schema, so a typo or a key from
+ * another tool fails loudly instead of being silently ignored. Command-line
+ * flags are applied on top of the file.
+ *
+ * Precedence: DEFAULT_CONFIG < config file < CLI flags
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { TRACKER_PACK_NAMES } from './tracker-strip.js';
+import { WP_CLEANUP_RULE_NAMES } from './wp-cleanup.js';
+import { EMBED_PROVIDER_NAMES } from './embed-facade.js';
+import { VITALS_METRIC_NAMES, DEFAULT_VITALS_BUDGETS } from './web-vitals.js';
+import { validateRecipe } from './interaction-recipes.js';
+
+export const CONFIG_FILE = 'export.config.json';
+
+// Responsive breakpoints used by the exporter and both auditors
+const DEFAULT_VIEWPORTS = [
+  { label: 'xs', width: 375, height: 667 },     // ≤480px - small phones
+  { label: 'sm', width: 480, height: 854 },     // ≤767px - large phones
+  { label: 'md', width: 768, height: 1024 },    // ≤979px - tablets
+  { label: 'lg', width: 980, height: 1200 },    // ≤1200px - small desktops
+  { label: 'xl', width: 1366, height: 900 }     // >1200px - large screens
+];
+
+// Toggles clicked to reveal hidden content (ThemeCo uses x- classes)
+const DEFAULT_INTERACTIONS = [
+  '[aria-controls]',
+  '.accordion [role="button"]',
+  '.tabs [role="tab"]',
+  '.x-accordion .x-accordion-toggle',
+  '.x-tab',
+  '.x-toggle',
+  '.x-nav-tabs [role="tab"]',
+  '.x-nav-tabs a',
+  '[data-toggle]',
+  'details summary'
+];
+
+const MODES = ['safe', 'balanced', 'aggressive'];
+const PROFILES = ['auto', 'themeco', 'none'];
+
+// Classes and patterns toggled at runtime; aggressive mode never prunes CSS
+// rules that mention them ("/.../" entries are regular expressions)
+const DEFAULT_AGGRESSIVE_SAFELIST = [
+  'x-active', 'x-bar-is-sticky', 'x-bar-is-visible', 'x-bar-fixed',
+  'is-open', 'is-active', 'is-visible', 'is-sticky',
+  'active', 'open', 'show', 'showing', 'in', 'collapse', 'collapsing', 'collapsed',
+  'fixed', 'sticky', 'scrolled', 'loaded', 'lazyloaded',
+  '/\\[aria-(expanded|hidden|selected|pressed|current|checked)/',
+  '/\\[open\\]/'
+];
+
+/**
+ * key → { type, default, description }. Types: string, number, integer, port,
+ * boolean, enum (with values), enums (array of values), strings (string[]),
+ * viewports, strip_rules, budgets (web-vitals metric → number or null),
+ * recipe (interaction steps).
+ */
+export const CONFIG_SCHEMA = {
+  source_url: { type: 'string', default: '', description: 'Page to export / compare against' },
+  export_dir: { type: 'string', default: './dist', description: 'Export output directory (audited by the auditors)' },
+  entry_html: { type: 'string', default: 'index.html', description: 'Entry HTML file inside export_dir' },
+  mode: { type: 'enum', values: MODES, default: 'safe', description: 'Export mode' },
+  profile: { type: 'enum', values: PROFILES, default: 'auto', description: 'Site profile: ThemeCo Pro/Cornerstone post-processing (auto = when detected)' },
+  viewports: { type: 'viewports', default: DEFAULT_VIEWPORTS, description: 'Breakpoints rendered and tested' },
+  interactions: { type: 'strings', default: DEFAULT_INTERACTIONS, description: 'Selectors clicked to reveal hidden content' },
+  recipe: { type: 'recipe', default: [], description: 'Ordered interaction steps run instead of the interactions clicks' },
+  recipe_screenshot_dir: { type: 'string', default: './recipe-screenshots', description: 'Where recipe steps with "screenshot" save their screenshots' },
+  timeout_sec: { type: 'number', default: 20, description: 'Page load timeout for audits' },
+  export_timeout_sec: { type: 'number', default: 60, description: 'Page load timeout while exporting' },
+  download_timeout_sec: { type: 'number', default: 30, description: 'Timeout per asset download' },
+  cache_dir: { type: 'string', default: './.export-cache', description: 'Asset cache reused across exports ("" disables it)' },
+  capture_frames: { type: 'boolean', default: true, description: 'Export same-origin iframes as local pages' },
+  embed_facades: { type: 'enums', values: EMBED_PROVIDER_NAMES, default: [], description: 'Third-party embeds replaced by a poster that loads them on click' },
+  form_endpoint: { type: 'string', default: '', description: 'Action for forms that post to the source site ("" keeps them)' },
+  form_log: { type: 'string', default: './form-submissions.jsonl', description: 'serve-export.js: file the form capture endpoint appends to' },
+  offline_strict: { type: 'boolean', default: false, description: 'post-export-auditor.js: abort non-localhost requests and fail on remote required resources' },
+  max_scroll_depth: { type: 'integer', default: 4, description: 'Scroll steps during audits' },
+  server_port: { type: 'port', default: 8082, description: 'Port of the post-export-auditor.js server' },
+  verify_port: { type: 'port', default: 8081, description: 'Port of the audit-export.js server' },
+  serve_port: { type: 'port', default: 8080, description: 'Port of serve-export.js' },
+  allow_remote: { type: 'boolean', default: true, description: 'audit-export.js: keep remote URLs' },
+  remove_trackers: { type: 'boolean', default: true, description: 'audit-export.js: prune tracker scripts' },
+  strip_trackers: { type: 'enums', values: TRACKER_PACK_NAMES, default: [], description: 'Tracker packs removed from the HTML at export time' },
+  wp_cleanup: { type: 'enums', values: WP_CLEANUP_RULE_NAMES, default: [], description: 'WordPress head/runtime cleanup rules applied at export time' },
+  strip_rules: { type: 'strip_rules', default: { domains: [], selectors: [], inline_patterns: [] }, description: 'Extra domains, selectors and inline-script patterns stripped at export time' },
+  vitals_budgets: { type: 'budgets', default: DEFAULT_VITALS_BUDGETS, description: 'post-export-auditor.js: web-vitals budgets for the export (null = no budget)' },
+  vitals_max_regression: { type: 'number', default: 0.1, description: 'post-export-auditor.js: how much slower than the original a metric may be (0.1 = 10%)' },
+  diff_threshold: { type: 'number', default: 0.05, max: 1, description: 'Allowed visual difference (0-1)' },
+  aggressive_safelist: { type: 'strings', default: DEFAULT_AGGRESSIVE_SAFELIST, description: 'Aggressive mode: CSS classes/patterns never pruned' },
+  aggressive_max_diff: { type: 'number', default: 0, max: 1, description: 'Aggressive mode: allowed screenshot difference after pruning (0-1)' }
+};
+
+// Old per-tool key names that still load, with a warning
+const LEGACY_KEYS = {
+  viewport_set: 'viewports'
+};
+
+export const DEFAULT_CONFIG = Object.freeze(Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])
+));
+
+// Edit distance, for "did you mean" hints on unknown keys
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key) {
+  let best = null;
+  for (const known of Object.keys(CONFIG_SCHEMA)) {
+    const d = distance(key, known);
+    if (d <= 3 && (!best || d < best.d)) best = { key: known, d };
+  }
+  return best ? ` (did you mean "${best.key}"?)` : '';
+}
+
+function checkValue(key, value, spec) {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) return 'must be a non-negative number';
+      return spec.max !== undefined && value > spec.max ? `must be at most ${spec.max}` : null;
+    case 'integer':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+    case 'port':
+      return Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a port number (1-65535)';
+    case 'enum':
+      return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`;
+    case 'enums':
+      return Array.isArray(value) && value.every(v => spec.values.includes(v))
+        ? null : `must be an array of: ${spec.values.join(', ')}`;
+    case 'strings':
+      return Array.isArray(value) && value.every(v => typeof v === 'string' && v)
+        ? null : 'must be an array of non-empty strings';
+    case 'viewports': {
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array of { label, width, height }';
+      const labels = new Set();
+      for (const [i, vp] of value.entries()) {
+        if (!vp || typeof vp !== 'object') return `[${i}] must be an object`;
+        const extra = Object.keys(vp).filter(k => !['label', 'width', 'height'].includes(k));
+        if (extra.length) return `[${i}] has unknown key(s): ${extra.join(', ')}`;
+        if (typeof vp.label !== 'string' || !vp.label) return `[${i}].label must be a non-empty string`;
+        if (!Number.isInteger(vp.width) || vp.width <= 0) return `[${i}].width must be a positive integer`;
+        if (!Number.isInteger(vp.height) || vp.height <= 0) return `[${i}].height must be a positive integer`;
+        if (labels.has(vp.label)) return `[${i}].label "${vp.label}" is used twice`;
+        labels.add(vp.label);
+      }
+      return null;
+    }
+    case 'strip_rules': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object { domains, selectors, inline_patterns }';
+      const lists = ['domains', 'selectors', 'inline_patterns'];
+      const extra = Object.keys(value).filter(k => !lists.includes(k));
+      if (extra.length) return `has unknown key(s): ${extra.join(', ')}`;
+      for (const list of lists) {
+        const items = value[list] ?? [];
+        if (!Array.isArray(items) || !items.every(v => typeof v === 'string' && v)) return `.${list} must be an array of non-empty strings`;
+      }
+      for (const pattern of value.inline_patterns ?? []) {
+        try { new RegExp(pattern); } catch { return `.inline_patterns has an invalid regular expression: ${pattern}`; }
+      }
+      return null;
+    }
+    case 'budgets': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `must be an object with any of: ${VITALS_METRIC_NAMES.join(', ')}`;
+      const extra = Object.keys(value).filter(k => !VITALS_METRIC_NAMES.includes(k));
+      if (extra.length) return `has unknown key(s): ${extra.join(', ')}`;
+      for (const [metric, budget] of Object.entries(value)) {
+        if (budget !== null && (typeof budget !== 'number' || !Number.isFinite(budget) || budget < 0)) {
+          return `.${metric} must be a non-negative number or null`;
+        }
+      }
+      return null;
+    }
+    case 'recipe':
+      return validateRecipe(value);
+    default:
+      return `has an unsupported schema type "${spec.type}"`;
+  }
+}
+
+/**
+ * Validate a partial config. Throws one Error listing every problem; returns
+ * the config with legacy keys renamed.
+ */
+export function validateConfig(config, source = 'config') {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${source}: expected a JSON object`);
+  }
+
+  const errors = [];
+  const result = {};
+
+  for (const [rawKey, value] of Object.entries(config)) {
+    if (value === undefined) continue;
+    let key = rawKey;
+    if (LEGACY_KEYS[rawKey]) {
+      key = LEGACY_KEYS[rawKey];
+      if (key in config) {
+        errors.push(`"${rawKey}" and "${key}" are both set`);
+        continue;
+      }
+      console.warn(`⚠️ ${source}: "${rawKey}" is deprecated, use "${key}"`);
+    }
+
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      errors.push(`unknown key "${rawKey}"${suggestKey(rawKey)}`);
+      continue;
+    }
+    const problem = checkValue(key, value, spec);
+    if (problem) errors.push(`"${key}" ${problem}`);
+    else result[key] = value;
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}\nValid keys: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Defaults merged with a validated partial config (for programmatic use).
+ */
+export function resolveConfig(config = {}, source = 'config') {
+  return { ...DEFAULT_CONFIG, ...validateConfig(config, source) };
+}
+
+/**
+ * Load the project config: explicit --config file (must exist) or
+ * ./export.config.json when present, then the CLI overrides on top.
+ */
+export function loadConfig({ configPath = null, overrides = {}, cwd = process.cwd() } = {}) {
+  let fileConfig = {};
+  let file = null;
+
+  if (configPath) {
+    file = path.resolve(cwd, configPath);
+    if (!fs.pathExistsSync(file)) throw new Error(`Config file not found: ${file}`);
+  } else if (fs.pathExistsSync(path.join(cwd, CONFIG_FILE))) {
+    file = path.join(cwd, CONFIG_FILE);
+  }
+
+  if (file) {
+    try {
+      fileConfig = fs.readJsonSync(file);
+    } catch (error) {
+      throw new Error(`Cannot parse ${file}: ${error.message}`);
+    }
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...validateConfig(fileConfig, file ? path.relative(cwd, file) || file : 'config'),
+    ...validateConfig(overrides, 'command-line options')
+  };
+  Object.defineProperty(config, 'configFile', { value: file, enumerable: false });
+  return config;
+}
+
+/**
+ * Value of --config in argv, if any.
+ */
+export function configPathFromArgs(argv) {
+  const i = argv.indexOf('--config');
+  return i > -1 ? argv[i + 1] : null;
+}
+
+/**
+ * Arguments that are not flags. Every --flag takes a value, except the
+ * booleanFlags the caller names (--dry-run, --crawl…).
+ */
+export function positionalArgs(argv, booleanFlags = []) {
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      if (!booleanFlags.includes(argv[i])) i++;
+      continue;
+    }
+    positional.push(argv[i]);
+  }
+  return positional;
+}
@@ -2,24 +2,43 @@
 
 /**
  * Simple local HTTP server for testing exported static sites
- * Usage: node serve-export.js [directory] [port]
- * Default: serves ./dist on port 8080
+ * Usage: node serve-export.js [directory] [port] [--config export.config.json]
+ * Default: serves export_dir (./dist) on serve_port (8080) from the project config
+ *
+ * Requests to /__forms (forms exported with --form-endpoint /__forms) are not
+ * served from disk: each submission is appended to form_log as one JSON line.
  */
 
 import fs from 'fs';
 import path from 'path';
 import http from 'http';
 import url from 'url';
+import { loadConfig, configPathFromArgs, positionalArgs } from './project-config.js';
+import { FORM_CAPTURE_PATH } from './form-detect.js';
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
-const DEFAULT_PORT = 8080;
-const DEFAULT_DIR = './dist';
-
-// Command line arguments
+// Command line arguments override the project config
 const args = process.argv.slice(2);
-const serveDir = path.resolve(args[0] || DEFAULT_DIR);
-const port = parseInt(args[1]) || DEFAULT_PORT;
+const [dirArg, portArg] = positionalArgs(args);
+let config;
+try {
+  config = loadConfig({
+    configPath: configPathFromArgs(args),
+    overrides: {
+      export_dir: dirArg,
+      serve_port: portArg !== undefined ? parseInt(portArg, 10) : undefined
+    }
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const serveDir = path.resolve(config.export_dir);
+const port = config.serve_port;
+const entryHtml = config.entry_html;
+const formLog = path.resolve(config.form_log);
+const MAX_FORM_BODY = 10 * 1024 * 1024; // 10MB
 
 // Check if directory exists
 if (!fs.existsSync(serveDir)) {
@@ -80,9 +99,128 @@ function serveFile(res, filePath) {
   });
 }
 
+// Form body → { fields, files }; repeated names (checkbox[]) become arrays
+function parseFormBody(body, contentType) {
+  const fields = {};
+  const files = [];
+  const add = (name, value) => {
+    if (!(name in fields)) fields[name] = value;
+    else fields[name] = [].concat(fields[name], value);
+  };
+
+  if (/application\/x-www-form-urlencoded/i.test(contentType)) {
+    new URLSearchParams(body.toString('utf8')).forEach((value, name) => add(name, value));
+  } else if (/multipart\/form-data/i.test(contentType)) {
+    const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i) || []).slice(1).find(Boolean);
+    // latin1 keeps one character per byte, so parts can be cut without decoding
+    for (const part of (boundary ? body.toString('latin1').split(`--${boundary}`) : [])) {
+      const split = part.indexOf('\r\n\r\n');
+      if (split === -1) continue;
+      const headers = part.slice(0, split);
+      const content = part.slice(split + 4).replace(/\r\n$/, '');
+      const name = headers.match(/name="([^"]*)"/i)?.[1];
+      if (!name) continue;
+      const filename = headers.match(/filename="([^"]*)"/i)?.[1];
+      if (filename !== undefined) {
+        const type = headers.match(/content-type:\s*([^\r\n]+)/i)?.[1] || 'application/octet-stream';
+        if (filename) files.push({ field: name, filename, contentType: type, size: content.length });
+      } else {
+        add(name, Buffer.from(content, 'latin1').toString('utf8'));
+      }
+    }
+  } else if (/json/i.test(contentType)) {
+    try {
+      Object.assign(fields, JSON.parse(body.toString('utf8')));
+    } catch {
+      fields._raw = body.toString('utf8').slice(0, 10000);
+    }
+  } else if (body.length) {
+    fields._raw = body.toString('utf8').slice(0, 10000);
+  }
+  return { fields, files };
+}
+
+// Capture endpoint: log the submission, then answer like a form backend would
+// (JSON for scripted submissions, a redirect back for plain form posts)
+function captureForm(req, res, parsedUrl) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': '*'
+    });
+    res.end();
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  let rejected = false;
+  req.on('data', chunk => {
+    if (rejected) return;
+    size += chunk.length;
+    if (size > MAX_FORM_BODY) {
+      rejected = true;
+      res.writeHead(413, { 'Content-Type': 'text/plain' });
+      res.end('413 Payload Too Large');
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (rejected) return;
+    const contentType = req.headers['content-type'] || '';
+    const { fields, files } = parseFormBody(Buffer.concat(chunks), contentType);
+    new URLSearchParams(parsedUrl.query || '').forEach((value, name) => {
+      if (!(name in fields)) fields[name] = value;
+    });
+    const submission = {
+      time: new Date().toISOString(),
+      method: req.method,
+      path: parsedUrl.pathname,
+      referer: req.headers.referer || null,
+      contentType,
+      fields,
+      files
+    };
+
+    fs.appendFile(formLog, JSON.stringify(submission) + '\n', err => {
+      if (err) console.error(`❌ Could not write ${formLog}: ${err.message}`);
+    });
+    console.log(`📨 Form submission captured: ${req.method} ${parsedUrl.pathname} (${Object.keys(fields).length} fields, ${files.length} files) → ${path.relative(process.cwd(), formLog)}`);
+
+    const scripted = /json/i.test(req.headers.accept || '') || req.headers['x-requested-with'];
+    if (scripted) {
+      // Contact Form 7 reads status/message/into from its REST response
+      const unitTag = fields._wpcf7_unit_tag;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({
+        status: 'mail_sent',
+        message: 'Submission captured by serve-export.js',
+        ...(fields._wpcf7 ? { contact_form_id: Number(fields._wpcf7) } : {}),
+        ...(unitTag ? { into: `#${unitTag}` } : {}),
+        invalid_fields: [],
+        captured: true
+      }));
+    } else if (req.headers.referer) {
+      res.writeHead(303, { Location: req.headers.referer });
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<!doctype html><p>Submission captured by serve-export.js.</p>');
+    }
+  });
+}
+
 const server = http.createServer((req, res) => {
   const parsedUrl = url.parse(req.url);
   let pathname = decodeURIComponent(parsedUrl.pathname);
+
+  if (pathname === FORM_CAPTURE_PATH || pathname.startsWith(`${FORM_CAPTURE_PATH}/`)) {
+    captureForm(req, res, parsedUrl);
+    return;
+  }
   
   // Security: prevent directory traversal
   if (pathname.includes('..')) {
@@ -91,8 +229,10 @@ const server = http.createServer((req, res) => {
     return;
   }
   
-  // Default to index.html for directory requests
-  if (pathname === '/' || pathname.endsWith('/')) {
+  // Default to the entry file at the root and index.html for directories
+  if (pathname === '/') {
+    pathname += entryHtml;
+  } else if (pathname.endsWith('/')) {
     pathname += 'index.html';
   }
   
@@ -107,7 +247,7 @@ const server = http.createServer((req, res) => {
   fs.stat(fullPath, (err, stats) => {
     if (err || !stats.isFile()) {
       // Try index.html fallback for SPA-style routing
-      serveFile(res, 'index.html');
+      serveFile(res, entryHtml);
     } else {
       serveFile(res, pathname);
     }
@@ -118,6 +258,7 @@ server.listen(port, () => {
   console.log(`🚀 Local server running at http://localhost:${port}`);
   console.log(`📁 Serving directory: ${serveDir}`);
   console.log(`🌐 Open in browser: http://localhost:${port}`);
+  console.log(`📨 Form submissions to ${FORM_CAPTURE_PATH} are logged to ${formLog}`);
   console.log(`⏹️  Press Ctrl+C to stop`);
 });
 
@@ -0,0 +1,270 @@
+/**
+ * ThemeCo Pro / Cornerstone post-processing profile.
+ *
+ * Pro pages are built from Cornerstone elements: generated per-element CSS
+ * (classes such as e12-e3 or m4-0), data-x-* effect/parameter attributes and
+ * x- components (accordions, tabs, sliders, off-canvas, modals, dropdowns)
+ * initialized by the theme's site script. The profile
+ *   - records the state of those components after load and restores it
+ *     before the HTML is captured, so the clicks and scrolling done to reveal
+ *     content do not leave panels open or effects mid-transition,
+ *   - removes the admin bar and builder preview leftovers of logged-in captures,
+ *   - localizes asset URLs inside data-x-* attributes,
+ *   - verifies that generated CSS and component scripts made it into the export.
+ */
+
+// Markers of a Pro/X/Cornerstone page
+const DETECT_SELECTOR = [
+  '[data-x-element]', '[data-x-effect]', '[data-x-toggleable]', '[data-x-params]',
+  'link[href*="/themes/pro/"]', 'script[src*="/themes/pro/"]',
+  'link[href*="/plugins/cornerstone/"]', 'script[src*="/plugins/cornerstone/"]',
+  'style#cs-generated-css', 'style#x-generated-css', 'style#cornerstone-generated-css'
+].join(', ');
+const DETECT_BODY_CLASS = /\b(?:pro-v\d|x-v\d|x-stack-|cornerstone-v\d)/;
+
+export const THEMECO_COMPONENTS = {
+  accordion: '.x-acc, .x-accordion',
+  tabs: '.x-tabs, .x-nav-tabs',
+  slider: '.x-slide-container, .x-slider, [data-x-slide-container]',
+  offCanvas: '.x-off-canvas',
+  modal: '.x-modal',
+  dropdown: '.x-dropdown, .x-menu-dropdown',
+  toggleable: '[data-x-toggleable], [data-x-toggle]',
+  effect: '[data-x-effect]'
+};
+
+// Elements whose state is recorded before the reveal clicks and put back before capture
+const STATE_SELECTOR = [
+  'html', 'body', '[data-x-toggle]', '[data-x-toggleable]', '[data-x-effect]',
+  '.x-acc-header', '.x-acc-content', '.x-accordion-toggle', '.x-accordion-body',
+  '.x-tabs-list button', '.x-tabs-panel', '.x-nav-tabs li', '.x-tab-pane',
+  '.x-modal', '.x-off-canvas', '.x-dropdown', '.x-anchor-toggle', '.x-slide-container', '.x-slide'
+].join(', ');
+const STATE_ATTRIBUTES = ['class', 'style', 'aria-expanded', 'aria-hidden', 'aria-selected', 'hidden', 'tabindex', 'open'];
+
+// Site scripts that initialize x- components
+const RUNTIME_SCRIPT = /\/(?:themes\/(?:pro|x)|plugins\/cornerstone)\//;
+
+// Logged-in and builder leftovers
+const ARTIFACT_SELECTORS = [
+  '#wpadminbar', '#wp-auth-check-wrap', 'link#admin-bar-css', 'style#admin-bar-inline-css',
+  'script#admin-bar-js', 'link#wp-auth-check-css', 'script#heartbeat-js',
+  'script#wp-auth-check-js', '.x-edit-link', '[data-cs-preview]', '[class*="cs-preview-"]',
+  '[id^="cs-preview"]', 'link[href*="/cornerstone/assets/css/app"]', 'script[src*="/cornerstone/assets/js/app"]',
+  'script[src*="/cornerstone/assets/js/preview"]'
+];
+const ARTIFACT_BODY_CLASSES = ['admin-bar', 'customize-support', 'no-customize-support', 'cs-preview'];
+const ARTIFACT_INLINE = [
+  /html\s*\{\s*margin-top:\s*(?:32|46)px\s*!important/, // admin bar offset
+  /no-customize-support/,                             // admin bar body class swap
+  /csPreview|cornerstone_preview|cs_preview_state/
+];
+
+// Half-initialized markup that must not end up in the export
+const TRANSITION_CLASSES = ['x-effect-entering', 'x-effect-exiting', 'x-transitioning', 'x-collapsing'];
+const OPEN_OVERLAYS = '.x-modal.x-active, .x-off-canvas.x-active';
+
+const GENERATED_CLASS = /^(?:e\d+-e?\d+|m[0-9a-z]*\d[0-9a-z]*-[0-9a-z]+)$/;
+const DATA_X_ASSET = /\.(?:png|jpe?g|gif|webp|avif|svg|mp4|webm|ogv|mp3|woff2?|ttf|json)(?:[?#]|$)/i;
+
+/**
+ * Signals that doc is a Pro/Cornerstone page (empty when it is not).
+ */
+export function detectThemeCo(doc) {
+  const signals = [];
+  const bodyClass = doc.body?.className || '';
+  if (DETECT_BODY_CLASS.test(bodyClass)) signals.push(`body class ${bodyClass.match(DETECT_BODY_CLASS)[0]}`);
+  doc.querySelectorAll(DETECT_SELECTOR).forEach(el => {
+    const ref = el.getAttribute('src') || el.getAttribute('href');
+    let signal;
+    if (el.tagName === 'STYLE') signal = `style#${el.id}`;
+    else if (ref) signal = `${el.tagName.toLowerCase()} from ${ref.match(/themes\/pro|plugins\/cornerstone/)[0]}`;
+    else signal = Array.from(el.attributes).find(a => a.name.startsWith('data-x-')).name;
+    if (!signals.includes(signal)) signals.push(signal);
+  });
+  return signals;
+}
+
+/**
+ * In the browser: record component state right after load. Returns the number
+ * of recorded elements, or null when the page is not a ThemeCo page (unless forced).
+ */
+export async function captureComponentState(page, force = false) {
+  return page.evaluate(({ stateSelector, attributes, detectSelector, bodyClass, force }) => {
+    const detected = force || document.querySelector(detectSelector) ||
+      new RegExp(bodyClass).test(document.body?.className || '');
+    if (!detected) return null;
+    const state = new Map();
+    document.querySelectorAll(stateSelector).forEach(el => {
+      state.set(el, attributes.map(name => [name, el.getAttribute(name)]));
+    });
+    window.__exportComponentState = state;
+    return state.size;
+  }, {
+    stateSelector: STATE_SELECTOR, attributes: STATE_ATTRIBUTES,
+    detectSelector: DETECT_SELECTOR, bodyClass: DETECT_BODY_CLASS.source, force
+  });
+}
+
+/**
+ * In the browser: put recorded elements back to their state after load.
+ * Returns the number of elements that had changed.
+ */
+export async function restoreComponentState(page) {
+  return page.evaluate(() => {
+    const state = window.__exportComponentState;
+    if (!state) return 0;
+    let changed = 0;
+    for (const [el, attributes] of state) {
+      if (!el.isConnected) continue;
+      let touched = false;
+      for (const [name, value] of attributes) {
+        if (el.getAttribute(name) === value) continue;
+        if (value === null) el.removeAttribute(name);
+        else el.setAttribute(name, value);
+        touched = true;
+      }
+      if (touched) changed++;
+    }
+    delete window.__exportComponentState;
+    return changed;
+  });
+}
+
+/**
+ * Remove admin bar and builder preview artifacts. Returns what was removed.
+ */
+export function removeThemeCoArtifacts(doc) {
+  const removed = [];
+  for (const selector of ARTIFACT_SELECTORS) {
+    doc.querySelectorAll(selector).forEach(el => {
+      if (!el.isConnected) return;
+      removed.push(selector);
+      el.remove();
+    });
+  }
+  doc.querySelectorAll('style, script:not([src])').forEach(el => {
+    const pattern = ARTIFACT_INLINE.find(re => re.test(el.textContent));
+    if (pattern) {
+      removed.push(`inline ${el.tagName.toLowerCase()} /${pattern.source}/`);
+      el.remove();
+    }
+  });
+  for (const cls of ARTIFACT_BODY_CLASSES) {
+    if (doc.body?.classList.contains(cls)) {
+      doc.body.classList.remove(cls);
+      removed.push(`body.${cls}`);
+    }
+  }
+  // The admin bar pushes the page down with an inline margin
+  const html = doc.documentElement;
+  if (/margin-top:\s*(?:32|46)px/.test(html.getAttribute('style') || '')) {
+    html.setAttribute('style', html.getAttribute('style').replace(/margin-top:\s*(?:32|46)px\s*(?:!important)?;?/g, '').trim());
+    if (!html.getAttribute('style')) html.removeAttribute('style');
+    removed.push('html margin-top');
+  }
+  return removed;
+}
+
+/**
+ * Absolute asset URLs referenced from data-x-* attributes (slider backgrounds,
+ * lottie/video sources in element parameters).
+ */
+export function dataXAssetUrls(doc, baseUrl) {
+  const urls = new Set();
+  forEachDataXUrl(doc, baseUrl, abs => urls.add(abs));
+  return Array.from(urls);
+}
+
+/**
+ * Rewrite data-x-* asset URLs with mapRef(absUrl) → local reference.
+ * Returns { localized, remote } counts.
+ */
+export function rewriteDataXUrls(doc, baseUrl, mapRef) {
+  const counts = { localized: 0, remote: 0 };
+  forEachDataXUrl(doc, baseUrl, (abs, raw, el, attr) => {
+    const mapped = mapRef(abs);
+    if (!mapped || /^https?:/i.test(mapped)) {
+      counts.remote++;
+      return;
+    }
+    const value = el.getAttribute(attr);
+    // Values inside JSON keep WordPress' escaped slashes
+    const escaped = value.includes(raw.replace(/\//g, '\\/'));
+    const target = escaped ? raw.replace(/\//g, '\\/') : raw;
+    el.setAttribute(attr, value.split(target).join(escaped ? mapped.replace(/\//g, '\\/') : mapped));
+    counts.localized++;
+  });
+  return counts;
+}
+
+function forEachDataXUrl(doc, baseUrl, visit) {
+  doc.querySelectorAll('*').forEach(el => {
+    for (const { name, value } of Array.from(el.attributes)) {
+      if (!name.startsWith('data-x-') || !value) continue;
+      const unescaped = value.replace(/\\\//g, '/');
+      for (const [raw] of unescaped.matchAll(/(?:https?:)?\/\/[^\s"'<>\\)]+|\/wp-content\/[^\s"'<>\\)]+/g)) {
+        if (!DATA_X_ASSET.test(raw)) continue;
+        let abs;
+        try { abs = new URL(raw, baseUrl).toString(); } catch { continue; }
+        visit(abs, raw, el, name);
+      }
+    }
+  });
+}
+
+/**
+ * Check a rewritten page: component scripts present and local, generated CSS
+ * for every generated element group, valid data-x-params and no half-initialized
+ * markup. cssText is the page's CSS (inline and local stylesheets).
+ */
+export function verifyThemeCo(doc, cssText) {
+  const components = {};
+  for (const [name, selector] of Object.entries(THEMECO_COMPONENTS)) {
+    const count = doc.querySelectorAll(selector).length;
+    if (count) components[name] = count;
+  }
+
+  const issues = [];
+  const runtimeScripts = Array.from(doc.querySelectorAll('script[src]'), s => s.getAttribute('src'))
+    .filter(src => RUNTIME_SCRIPT.test(src));
+  if (Object.keys(components).length && !runtimeScripts.length) {
+    issues.push(`x- components (${Object.keys(components).join(', ')}) found but no Pro/Cornerstone site script is included`);
+  }
+  const remoteRuntime = runtimeScripts.filter(src => /^(?:https?:)?\/\//i.test(src));
+  if (remoteRuntime.length) {
+    issues.push(`${remoteRuntime.length} Pro/Cornerstone scripts were not captured and still load remotely`);
+  }
+
+  const generated = new Set();
+  doc.querySelectorAll('[class]').forEach(el => {
+    el.classList.forEach(cls => { if (GENERATED_CLASS.test(cls)) generated.add(cls); });
+  });
+  // Not every element has rules of its own, but each generated group (e12-*:
+  // one Cornerstone document) without any rule means its CSS was not captured
+  const missingCss = Array.from(generated).filter(cls => !new RegExp(`\\.${cls}(?![\\w-])`).test(cssText));
+  const groups = new Set(Array.from(generated, cls => cls.split('-')[0]));
+  const missingGroups = Array.from(groups).filter(group => !new RegExp(`\\.${group}-[0-9a-z]+(?![\\w-])`).test(cssText));
+  if (missingGroups.length) {
+    issues.push(`no generated CSS for element group(s) ${missingGroups.join(', ')}`);
+  }
+
+  const badParams = Array.from(doc.querySelectorAll('[data-x-params]')).filter(el => {
+    try { JSON.parse(el.getAttribute('data-x-params')); return false; } catch { return true; }
+  });
+  if (badParams.length) issues.push(`${badParams.length} elements have unparseable data-x-params`);
+
+  const transitioning = doc.querySelectorAll(TRANSITION_CLASSES.map(c => `.${c}`).join(', ')).length;
+  if (transitioning) issues.push(`${transitioning} elements were captured mid-transition`);
+  const openOverlays = doc.querySelectorAll(OPEN_OVERLAYS).length;
+  if (openOverlays) issues.push(`${openOverlays} modals/off-canvas panels were captured open`);
+
+  return {
+    components,
+    runtimeScripts: runtimeScripts.length,
+    generatedClasses: generated.size,
+    missingGeneratedCss: missingCss,
+    missingGeneratedGroups: missingGroups,
+    issues
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Rule-based removal of trackers and third-party widgets from exported HTML.
+ *
+ * A rule set combines built-in packs (analytics, ads, chat, heatmaps) with
+ * user rules from the project config:
+ *   domains          host (matches subdomains too), optionally with a path
+ *                    prefix: "facebook.com/tr"
+ *   selectors        CSS selectors of elements to remove (injected widgets)
+ *   inline_patterns  regular expressions tested against inline <script> code
+ *
+ * Elements loading from a matched domain, inline scripts mentioning one,
+ * <noscript> fallbacks holding such pixels/iframes and selector matches are
+ * removed. Every removal is reported with the rule that caused it.
+ */
+
+export const TRACKER_PACKS = {
+  analytics: {
+    domains: [
+      'google-analytics.com', 'googletagmanager.com', 'analytics.google.com', 'stats.wp.com',
+      'plausible.io', 'matomo.cloud', 'cdn.segment.com', 'api.segment.io', 'mixpanel.com',
+      'cdn.mxpnl.com', 'static.cloudflareinsights.com', 'js.hs-scripts.com', 'js.hs-analytics.net'
+    ],
+    selectors: [],
+    inline_patterns: [
+      'gtag\\(', 'GoogleAnalyticsObject', '_gaq\\.push', "\\bga\\(\\s*['\"]create", '_paq\\.push',
+      'mixpanel\\.init', 'analytics\\.load\\(', 'dataLayer\\.push\\(\\s*\\{\\s*[\'"]gtm\\.start'
+    ]
+  },
+  ads: {
+    domains: [
+      'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+      'connect.facebook.net', 'facebook.com/tr', 'snap.licdn.com', 'px.ads.linkedin.com',
+      'analytics.tiktok.com', 'static.ads-twitter.com', 'bat.bing.com', 'amazon-adsystem.com',
+      'cdn.taboola.com', 'widgets.outbrain.com'
+    ],
+    selectors: [],
+    inline_patterns: [
+      "fbq\\(\\s*['\"]init", '_linkedin_partner_id', 'ttq\\.load\\(', "twq\\(\\s*['\"]", 'uetq'
+    ]
+  },
+  chat: {
+    domains: [
+      'embed.tawk.to', 'widget.intercom.io', 'js.intercomcdn.com', 'client.crisp.chat', 'code.tidio.co',
+      'static.zdassets.com', 'js.driftt.com', 'js.usemessages.com', 'cdn.livechatinc.com'
+    ],
+    selectors: [
+      '#hubspot-messages-iframe-container', '#tidio-chat', '#crisp-chatbox', '.intercom-lightweight-app',
+      '#intercom-container', '#drift-widget-container', '#chat-widget-container', 'iframe#launcher'
+    ],
+    inline_patterns: ['Tawk_API', 'intercomSettings', '\\$crisp', 'zESettings', 'drift\\.load\\(', '__lc\\.license']
+  },
+  heatmaps: {
+    domains: [
+      'hotjar.com', 'clarity.ms', 'cdn.mouseflow.com', 'fullstory.com', 'luckyorange.com',
+      'luckyorange.net', 'crazyegg.com', 'smartlook.com'
+    ],
+    selectors: [],
+    inline_patterns: ['_hjSettings', '\\(c,l,a,r,i,t,y\\)', '_mfq', "window\\['_fs_org'\\]|_fs_org", 'smartlook\\(']
+  }
+};
+
+export const TRACKER_PACK_NAMES = Object.keys(TRACKER_PACKS);
+
+/**
+ * Build a rule set from pack names and user rules ({ domains, selectors,
+ * inline_patterns }). Returns null when there is nothing to strip.
+ */
+export function compileStripRules(packs = [], userRules = {}) {
+  const sources = [
+    ...packs.map(name => {
+      if (!TRACKER_PACKS[name]) throw new Error(`Unknown tracker pack "${name}" (${TRACKER_PACK_NAMES.join(', ')})`);
+      return { name, ...TRACKER_PACKS[name] };
+    }),
+    { name: 'custom', domains: [], selectors: [], inline_patterns: [], ...userRules }
+  ];
+
+  const rules = { packs, domains: [], selectors: [], inlinePatterns: [] };
+  for (const source of sources) {
+    for (const entry of source.domains) {
+      const [host, ...rest] = entry.toLowerCase().replace(/^https?:\/\//, '').split('/');
+      rules.domains.push({ pack: source.name, entry, host, path: rest.length ? `/${rest.join('/')}` : '' });
+      // An inline loader that mentions the domain is the same tracker
+      rules.inlinePatterns.push({ pack: source.name, rule: `domain ${entry}`, re: new RegExp(escapeRegExp(entry), 'i') });
+    }
+    source.selectors.forEach(selector => rules.selectors.push({ pack: source.name, selector }));
+    source.inline_patterns.forEach(pattern => {
+      rules.inlinePatterns.push({ pack: source.name, rule: `inline /${pattern}/`, re: new RegExp(pattern) });
+    });
+  }
+
+  const empty = !rules.domains.length && !rules.selectors.length && !rules.inlinePatterns.length;
+  return empty ? null : rules;
+}
+
+/**
+ * Domain rule matching an absolute URL, or null.
+ */
+export function matchDomainRule(absUrl, rules) {
+  let u;
+  try { u = new URL(absUrl); } catch { return null; }
+  const host = u.hostname.toLowerCase();
+  return rules.domains.find(d =>
+    (host === d.host || host.endsWith(`.${d.host}`)) &&
+    (!d.path || u.pathname === d.path || u.pathname.startsWith(d.path.endsWith('/') ? d.path : `${d.path}/`))
+  ) || null;
+}
+
+const URL_ATTRIBUTES = [
+  ['script[src]', 'src'], ['iframe[src]', 'src'], ['img[src]', 'src'], ['embed[src]', 'src'],
+  ['link[href]', 'href'], ['object[data]', 'data']
+];
+
+/**
+ * Remove matching elements from doc (relative URLs resolve against baseUrl).
+ * Returns [{ tag, rule, pack, url?, snippet }].
+ */
+export function stripTrackers(doc, baseUrl, rules) {
+  const removed = [];
+  const remove = (el, match) => {
+    removed.push({
+      tag: el.tagName.toLowerCase(),
+      pack: match.pack,
+      rule: match.rule,
+      ...(match.url ? { url: match.url } : {}),
+      snippet: el.outerHTML.replace(/\s+/g, ' ').slice(0, 160)
+    });
+    el.remove();
+  };
+  const absolute = value => {
+    try { return new URL(value, baseUrl).toString(); } catch { return null; }
+  };
+
+  // <noscript> fallbacks (pixel <img>, GTM <iframe>) go as a whole
+  doc.querySelectorAll('noscript').forEach(noscript => {
+    const html = noscript.innerHTML;
+    const urls = Array.from(html.matchAll(/(?:src|href)\s*=\s*["']([^"']+)["']/gi), m => absolute(m[1].replace(/&amp;/g, '&')));
+    for (const url of urls) {
+      const domain = url && matchDomainRule(url, rules);
+      if (domain) {
+        remove(noscript, { pack: domain.pack, rule: `domain ${domain.entry}`, url });
+        return;
+      }
+    }
+  });
+
+  for (const [selector, attr] of URL_ATTRIBUTES) {
+    doc.querySelectorAll(selector).forEach(el => {
+      const url = absolute(el.getAttribute(attr));
+      const domain = url && matchDomainRule(url, rules);
+      if (domain) remove(el, { pack: domain.pack, rule: `domain ${domain.entry}`, url });
+    });
+  }
+
+  doc.querySelectorAll('script:not([src])').forEach(script => {
+    const type = (script.getAttribute('type') || '').toLowerCase();
+    if (type && !/javascript|ecmascript|^module$/.test(type)) return; // JSON-LD, templates
+    const code = script.textContent;
+    const match = rules.inlinePatterns.find(p => p.re.test(code));
+    if (match) remove(script, match);
+  });
+
+  for (const { pack, selector } of rules.selectors) {
+    let matches;
+    try {
+      matches = doc.querySelectorAll(selector);
+    } catch {
+      throw new Error(`Invalid strip selector: ${selector}`);
+    }
+    matches.forEach(el => {
+      if (el.isConnected) remove(el, { pack, rule: `selector ${selector}` });
+    });
+  }
+
+  return removed;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
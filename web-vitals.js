@@ -0,0 +1,100 @@
+/**
+ * Web-vitals collection shared by the auditors.
+ *
+ * installVitalsObserver() registers PerformanceObservers before any page
+ * script runs; collectVitals() reads what they saw plus the navigation
+ * timings. The same steps run on the original and on the export, so the
+ * numbers can be compared per breakpoint and checked against budgets.
+ */
+
+// key → label, unit and the absolute difference treated as measurement noise
+// when the export is compared with the original
+export const VITALS_METRICS = {
+  lcp_ms: { label: 'Largest Contentful Paint', unit: 'ms', noise: 100 },
+  cls: { label: 'Cumulative Layout Shift', unit: '', noise: 0.01 },
+  tbt_ms: { label: 'Total Blocking Time', unit: 'ms', noise: 50 },
+  dom_content_loaded_ms: { label: 'DOMContentLoaded', unit: 'ms', noise: 100 },
+  load_ms: { label: 'Load', unit: 'ms', noise: 100 }
+};
+
+export const VITALS_METRIC_NAMES = Object.keys(VITALS_METRICS);
+
+// "Good" thresholds from web.dev; page-load timings have no default budget
+export const DEFAULT_VITALS_BUDGETS = {
+  lcp_ms: 2500,
+  cls: 0.1,
+  tbt_ms: 200,
+  dom_content_loaded_ms: null,
+  load_ms: null
+};
+
+/**
+ * Start observing LCP, layout shifts and long tasks on every document the
+ * page loads. Call before page.goto().
+ */
+export async function installVitalsObserver(page) {
+  await page.addInitScript(() => {
+    const vitals = { lcp: null, cls: 0, longTasks: [] };
+    window.__exportVitals = vitals;
+    const observe = (type, callback) => {
+      try {
+        new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+      } catch {}
+    };
+    observe('largest-contentful-paint', entry => { vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime; });
+    // Shifts right after user input are expected and excluded, as in CLS
+    observe('layout-shift', entry => { if (!entry.hadRecentInput) vitals.cls += entry.value; });
+    observe('longtask', entry => { vitals.longTasks.push({ start: entry.startTime, duration: entry.duration }); });
+  });
+}
+
+/**
+ * { lcp_ms, cls, tbt_ms, dom_content_loaded_ms, load_ms } of the current
+ * document. TBT sums the time over 50 ms of every long task after First
+ * Contentful Paint up to the moment of collection. Values the browser did not
+ * report are null.
+ */
+export async function collectVitals(page) {
+  return page.evaluate(() => {
+    const vitals = window.__exportVitals || { lcp: null, cls: null, longTasks: [] };
+    const nav = performance.getEntriesByType('navigation')[0];
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0]?.startTime ?? 0;
+    const round = value => (value === null || value === undefined ? null : Math.round(value));
+    return {
+      lcp_ms: round(vitals.lcp),
+      cls: vitals.cls === null ? null : Math.round(vitals.cls * 1000) / 1000,
+      tbt_ms: round(vitals.longTasks
+        .filter(task => task.start + task.duration > fcp)
+        .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)),
+      dom_content_loaded_ms: nav && nav.domContentLoadedEventEnd > 0 ? round(nav.domContentLoadedEventEnd) : null,
+      load_ms: nav && nav.loadEventEnd > 0 ? round(nav.loadEventEnd) : null
+    };
+  });
+}
+
+/**
+ * Check the export's metrics against budgets and, when the original was
+ * measured, against the original (maxRegression 0.1 = up to 10% worse,
+ * beyond each metric's noise). Returns { passed, metrics } with one
+ * { metric, original, export, delta, budget, over_budget, regressed } per
+ * metric.
+ */
+export function evaluateVitals(exported, original, budgets, maxRegression) {
+  const metrics = VITALS_METRIC_NAMES.map(metric => {
+    const value = exported?.[metric] ?? null;
+    const before = original?.[metric] ?? null;
+    const budget = budgets[metric] ?? null;
+    const { noise } = VITALS_METRICS[metric];
+    const comparable = value !== null && before !== null;
+    return {
+      metric,
+      original: before,
+      export: value,
+      delta: comparable ? Math.round((value - before) * 1000) / 1000 : null,
+      budget,
+      over_budget: budget !== null && value !== null && value > budget,
+      regressed: comparable && value - before > noise && value > before * (1 + maxRegression)
+    };
+  });
+  return { passed: metrics.every(m => !m.over_budget && !m.regressed), metrics };
+}
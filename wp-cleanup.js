@@ -0,0 +1,81 @@
+/**
+ * WordPress head and runtime cleanup for exported pages.
+ *
+ * Each rule removes or neutralizes one piece of WordPress plumbing that is
+ * useless (discovery links, generator tag) or harmful (emoji loader, live
+ * admin-ajax URLs and nonces) in a static copy. Rules are opt-in and can be
+ * enabled one by one; every change is returned so it can be reported.
+ */
+
+const removeAll = selector => doc => Array.from(doc.querySelectorAll(selector), el => removal(el));
+
+export const WP_CLEANUP_RULES = {
+  // <link rel="https://api.w.org/"> and the per-page wp-json alternate
+  'rest-links': removeAll('link[rel="https://api.w.org/"], link[rel="alternate"][href*="/wp-json/"]:not([type*="oembed"])'),
+  oembed: removeAll('link[type="application/json+oembed"], link[type="text/xml+oembed"]'),
+  rsd: removeAll('link[rel="EditURI"]'),
+  wlwmanifest: removeAll('link[rel="wlwmanifest"]'),
+  pingback: removeAll('link[rel="pingback"]'),
+  shortlink: removeAll('link[rel="shortlink"]'),
+  generator: removeAll('meta[name="generator"]'),
+
+  // Detection script and loader; emoji already replaced in the capture stay as images
+  emoji: doc => [
+    ...Array.from(doc.querySelectorAll('script:not([src])'))
+      .filter(s => /_wpemojiSettings|wp-emoji-release/.test(s.textContent) || s.id === 'wp-emoji-settings')
+      .map(s => removal(s)),
+    ...Array.from(doc.querySelectorAll('script[src*="wp-emoji-release"], script[src*="/wp-includes/js/wp-emoji"]'), s => removal(s))
+  ],
+  'wp-embed': removeAll('script[src*="/wp-includes/js/wp-embed"], script#wp-embed-js'),
+
+  // Live admin-ajax.php endpoints become empty strings
+  ajaxurl: doc => neutralize(doc, /((["']?)ajax_?url\2\s*[:=]\s*)(["'])[^"']*?admin-ajax\.php[^"']*\3/gi, 'URL'),
+  // WordPress nonces (10 hex characters) under any *nonce key
+  nonces: doc => neutralize(doc, /((["']?)[\w$-]*nonce\2\s*[:=]\s*)(["'])[0-9a-f]{10}\3/gi, 'nonce')
+};
+
+export const WP_CLEANUP_RULE_NAMES = Object.keys(WP_CLEANUP_RULES);
+
+/**
+ * Apply the named rules to doc. Returns [{ rule, action, tag, detail }].
+ */
+export function cleanupWordPress(doc, rules) {
+  const changes = [];
+  for (const rule of rules) {
+    const apply = WP_CLEANUP_RULES[rule];
+    if (!apply) throw new Error(`Unknown WordPress cleanup rule "${rule}" (${WP_CLEANUP_RULE_NAMES.join(', ')})`);
+    apply(doc).forEach(change => changes.push({ rule, ...change }));
+  }
+  return changes;
+}
+
+function removal(el) {
+  const change = { action: 'removed', tag: el.tagName.toLowerCase(), detail: describe(el) };
+  el.remove();
+  return change;
+}
+
+// Blank the quoted values matched by pattern in inline scripts
+function neutralize(doc, pattern, what) {
+  const changes = [];
+  doc.querySelectorAll('script:not([src])').forEach(script => {
+    let count = 0;
+    const code = script.textContent.replace(pattern, (match, prefix, keyQuote, quote) => {
+      count++;
+      return `${prefix}${quote}${quote}`;
+    });
+    if (count) {
+      script.textContent = code;
+      changes.push({ action: 'neutralized', tag: 'script', detail: `${describe(script)}: ${count} ${what}${count > 1 ? 's' : ''} blanked` });
+    }
+  });
+  return changes;
+}
+
+function describe(el) {
+  if (el.id) return `#${el.id}`;
+  for (const attr of ['href', 'src', 'content', 'rel', 'name']) {
+    if (el.hasAttribute(attr)) return `${attr}="${el.getAttribute(attr).slice(0, 120)}"`;
+  }
+  return el.textContent.replace(/\s+/g, ' ').trim().slice(0, 80);
+}